@@ -54,6 +54,23 @@ function defaultCreatePasswordResetEmail({ token, requestUrl }) {
   };
 }
 
+/**
+ * Skip a body parser for playlist imports. Exported playlist files can be much larger
+ * than the usual request, so the import route parses them itself, after authentication.
+ *
+ * @param {express.RequestHandler} parser
+ * @returns {express.RequestHandler}
+ */
+function skipPlaylistImport(parser) {
+  return (req, res, next) => {
+    if (req.method === 'POST' && /^\/import\/?$/.test(req.path)) {
+      next();
+    } else {
+      parser(req, res, next);
+    }
+  };
+}
+
 /**
  * @typedef {express.Router & { authRegistry: AuthRegistry }} HttpApi
  */
@@ -113,7 +130,7 @@ async function httpApi(uw, options) {
       quietReqLogger: true,
       logger,
     }))
-    .use(bodyParser.json())
+    .use(skipPlaylistImport(bodyParser.json()))
     .use(cookieParser())
     .use(session({
       secret: options.secret,
@@ -6,6 +6,8 @@ import Ajv from 'ajv';
 import { stdSerializers } from 'pino';
 import { socketVote } from './controllers/booth.js';
 import { disconnectUser } from './controllers/users.js';
+import { ChatRateLimitError } from './errors/index.js';
+import { Permissions } from './plugins/acl.js';
 import AuthRegistry from './AuthRegistry.js';
 import GuestConnection from './sockets/GuestConnection.js';
 import AuthedConnection from './sockets/AuthedConnection.js';
@@ -30,7 +32,11 @@ const GUEST_COUNT_INTERVAL = 2_000;
 /**
  * @typedef {object} ClientActionParameters
  * @prop {string} sendChat
- * @prop {-1 | 1} vote
+ * @prop {{ id: string, message: string }} editChat
+ * @prop {{ id: string, reaction: string }} addReaction
+ * @prop {{ id: string, reaction: string }} removeReaction
+ * @prop {{ userID: import('./schema.js').UserID, message: string }} sendDirectMessage
+ * @prop {-1 | 0 | 1} vote
  * @prop {undefined} logout
  */
 
@@ -51,6 +57,15 @@ const ajv = new Ajv({
   useDefaults: false,
 });
 
+const reactionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    reaction: { type: 'string', minLength: 1, maxLength: 64 },
+  },
+  required: ['id', 'reaction'],
+};
+
 /**
  * @template {object} T
  * @param {T} object
@@ -202,9 +217,54 @@ class SocketServer {
     }, GUEST_COUNT_INTERVAL);
 
     this.#clientActions = {
-      sendChat: (user, message) => {
+      sendChat: (user, message, connection) => {
         this.#logger.trace({ user, message }, 'sendChat');
-        this.#uw.chat.send(user, message);
+        this.#uw.chat.send(user, message).catch((error) => {
+          if (error instanceof ChatRateLimitError) {
+            connection.send('error', error.message);
+          } else {
+            this.#logger.error({ err: error }, 'sending chat message failed');
+          }
+        });
+      },
+      editChat: (user, { id, message }, connection) => {
+        this.#logger.trace({ user, id, message }, 'editChat');
+        this.#uw.chat.edit(user, id, message).catch((error) => {
+          if (error.expose) {
+            connection.send('error', error.message);
+          } else {
+            this.#logger.error({ err: error }, 'editing chat message failed');
+          }
+        });
+      },
+      addReaction: (user, { id, reaction }, connection) => {
+        this.#uw.chat.addReaction(user, id, reaction).catch((error) => {
+          if (error.expose) {
+            connection.send('error', error.message);
+          } else {
+            this.#logger.error({ err: error }, 'adding reaction failed');
+          }
+        });
+      },
+      removeReaction: (user, { id, reaction }, connection) => {
+        this.#uw.chat.removeReaction(user, id, reaction).catch((error) => {
+          if (error.expose) {
+            connection.send('error', error.message);
+          } else {
+            this.#logger.error({ err: error }, 'removing reaction failed');
+          }
+        });
+      },
+      sendDirectMessage: (user, { userID, message }, connection) => {
+        this.#logger.trace({ user, userID, message }, 'sendDirectMessage');
+        this.#uw.directMessages.send(user, userID, message).catch((error) => {
+          // Errors that are safe to show to users, like the recipient having blocked them.
+          if (error.expose) {
+            connection.send('error', error.message);
+          } else {
+            this.#logger.error({ err: error }, 'sending direct message failed');
+          }
+        });
       },
       vote: (user, direction) => {
         socketVote(this.#uw, user.id, direction);
@@ -221,9 +281,27 @@ class SocketServer {
       sendChat: ajv.compile({
         type: 'string',
       }),
+      editChat: ajv.compile({
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          message: { type: 'string', minLength: 1 },
+        },
+        required: ['id', 'message'],
+      }),
+      addReaction: ajv.compile(reactionSchema),
+      removeReaction: ajv.compile(reactionSchema),
+      sendDirectMessage: ajv.compile({
+        type: 'object',
+        properties: {
+          userID: { type: 'string' },
+          message: { type: 'string', minLength: 1 },
+        },
+        required: ['userID', 'message'],
+      }),
       vote: ajv.compile({
         type: 'integer',
-        enum: [-1, 1],
+        enum: [-1, 0, 1],
       }),
       logout: ajv.compile(true),
     };
@@ -250,11 +328,42 @@ class SocketServer {
       'booth:skip': ({ moderatorID, userID, reason }) => {
         this.broadcast('skip', { moderatorID, userID, reason });
       },
+      /**
+       * Tell a DJ that recently played media in their playlist was passed over.
+       * If `turnSkipped` is false, the DJ is playing an item further down their
+       * playlist, and that item was moved to the bottom instead of the first one.
+       * If it is true, nothing was moved and the DJ lost their turn.
+       */
+      'booth:repeatSkipped': ({
+        userID, playlistID, action, itemIDs, turnSkipped,
+      }) => {
+        this.sendTo(userID, 'repeatSkipped', {
+          playlistID, action, itemIDs, turnSkipped,
+        });
+      },
       /**
        * Broadcast a chat message.
        */
       'chat:message': (message) => {
-        this.broadcast('chatMessage', message);
+        this.#broadcastFrom(message.userID, 'chatMessage', message).catch((error) => {
+          this.#logger.error({ err: error }, 'could not broadcast chat message');
+        });
+      },
+      /**
+       * Broadcast an edited chat message.
+       */
+      'chat:edit': (message) => {
+        this.#broadcastFrom(message.userID, 'chatEdit', message).catch((error) => {
+          this.#logger.error({ err: error }, 'could not broadcast chat edit');
+        });
+      },
+      /**
+       * Broadcast the new reaction counts for a chat message.
+       */
+      'chat:reaction': (reaction) => {
+        this.#broadcastFrom(reaction.userID, 'chatReaction', reaction).catch((error) => {
+          this.#logger.error({ err: error }, 'could not broadcast chat reaction');
+        });
       },
       /**
        * Delete chat messages. The delete filter can have an _id property to
@@ -279,13 +388,51 @@ class SocketServer {
       /**
        * Broadcast that a user was muted in chat.
        */
-      'chat:mute': ({ moderatorID, userID, duration }) => {
+      'chat:mute': ({
+        moderatorID, userID, expiresAt, reason,
+      }) => {
         this.broadcast('chatMute', {
           userID,
           moderatorID,
-          expiresAt: Date.now() + duration,
+          reason,
+          expiresAt,
         });
       },
+      /**
+       * Tell moderators that automod took action on a chat message.
+       */
+      'chat:automod': ({
+        userID,
+        action,
+        rules,
+        message,
+      }) => {
+        this.sendToAllowed(Permissions.ChatMute, 'chatAutomod', {
+          userID,
+          action,
+          rules,
+          message,
+        }).catch((error) => {
+          this.#logger.error({ err: error }, 'could not send automod notice');
+        });
+      },
+      /**
+       * Deliver a private message to its recipient, and to the sender's other
+       * connections.
+       */
+      'directMessages:message': async (message) => {
+        const { users } = this.#uw;
+        try {
+          // Blocks are checked when sending, but may have been added since.
+          const blockerIDs = await users.getBlockerIDs(message.senderID);
+          if (!blockerIDs.includes(message.recipientID)) {
+            this.sendTo(message.recipientID, 'directMessage', message);
+          }
+          this.sendTo(message.senderID, 'directMessage', message);
+        } catch (error) {
+          this.#logger.error({ err: error }, 'could not deliver direct message');
+        }
+      },
       /**
        * Broadcast that a user was unmuted in chat.
        */
@@ -301,12 +448,24 @@ class SocketServer {
           value: direction,
         });
       },
+      /**
+       * Broadcast that a user retracted their vote for the current track.
+       */
+      'booth:voteRemoved': ({ userID }) => {
+        this.broadcast('voteRemoved', { _id: userID });
+      },
       /**
        * Broadcast a favorite for the current track.
        */
       'booth:favorite': ({ userID }) => {
         this.broadcast('favorite', { userID });
       },
+      /**
+       * Broadcast that a user removed the current track from their favorites.
+       */
+      'booth:unfavorite': ({ userID }) => {
+        this.broadcast('unfavorite', { userID });
+      },
       /**
        * Cycle a single user's playlist.
        */
@@ -369,6 +528,13 @@ class SocketServer {
       'waitlist:lock': ({ moderatorID, locked }) => {
         this.broadcast('waitlistLock', { moderatorID, locked });
       },
+      /**
+       * Broadcast that a user was removed from the waitlist because they reached
+       * a play limit. `until` is when they can join again, if they can't right away.
+       */
+      'waitlist:playLimit': ({ userID, reason, until }) => {
+        this.broadcast('waitlistPlayLimit', { userID, reason, until });
+      },
 
       'acl:allow': ({ userID, roles }) => {
         this.broadcast('acl:allow', { userID, roles });
@@ -754,6 +920,47 @@ class SocketServer {
     });
   }
 
+  /**
+   * Broadcast a command caused by a user, like a chat message, to everyone except
+   * the users who blocked them.
+   *
+   * @param {import('./schema.js').UserID} userID
+   * @param {string} command Command name.
+   * @param {import('type-fest').JsonValue} data Command data.
+   */
+  async #broadcastFrom(userID, command, data) {
+    const { users } = this.#uw;
+
+    const blockerIDs = new Set(await users.getBlockerIDs(userID));
+    if (blockerIDs.size === 0) {
+      this.broadcast(command, data);
+      return;
+    }
+
+    this.#connections.forEach((connection) => {
+      if (!('user' in connection) || !blockerIDs.has(connection.user.id)) {
+        connection.send(command, data);
+      }
+    });
+  }
+
+  /**
+   * Send a command to all connected users who have a permission.
+   *
+   * @param {import('./schema.js').Permission} permission
+   * @param {string} command Command name.
+   * @param {import('type-fest').JsonValue} data Command data.
+   */
+  async sendToAllowed(permission, command, data) {
+    const { acl } = this.#uw;
+
+    await Promise.all(this.#connections.map(async (connection) => {
+      if ('user' in connection && await acl.isAllowed(connection.user, permission)) {
+        connection.send(command, data);
+      }
+    }));
+  }
+
   /**
    * Send a command to a single user.
    *
@@ -11,14 +11,19 @@ import { i18n } from './locale.js';
 import configStore from './plugins/configStore.js';
 import booth from './plugins/booth.js';
 import chat from './plugins/chat.js';
+import automod from './plugins/automod.js';
+import directMessages from './plugins/directMessages.js';
 import motd from './plugins/motd.js';
 import playlists from './plugins/playlists.js';
 import users from './plugins/users.js';
 import bans from './plugins/bans.js';
 import history from './plugins/history.js';
 import acl from './plugins/acl.js';
+import audit from './plugins/audit.js';
 import waitlist from './plugins/waitlist.js';
 import passport from './plugins/passport.js';
+import scheduler from './plugins/scheduler.js';
+import stats from './plugins/stats.js';
 import migrations from './plugins/migrations.js';
 import { SqliteDateColumnsPlugin, connect as connectSqlite } from './utils/sqlite.js';
 
@@ -70,6 +75,14 @@ class UwaveServer extends EventEmitter {
   // @ts-expect-error TS2564 Definitely assigned in a plugin
   acl;
 
+  /** @type {import('./plugins/audit.js').AuditLog} */
+  // @ts-expect-error TS2564 Definitely assigned in a plugin
+  audit;
+
+  /** @type {import('./plugins/automod.js').Automod} */
+  // @ts-expect-error TS2564 Definitely assigned in a plugin
+  automod;
+
   /** @type {import('./plugins/bans.js').Bans} */
   // @ts-expect-error TS2564 Definitely assigned in a plugin
   bans;
@@ -86,6 +99,10 @@ class UwaveServer extends EventEmitter {
   // @ts-expect-error TS2564 Definitely assigned in a plugin
   config;
 
+  /** @type {import('./plugins/directMessages.js').DirectMessages} */
+  // @ts-expect-error TS2564 Definitely assigned in a plugin
+  directMessages;
+
   /** @type {import('./plugins/emotes.js').Emotes|null} */
   emotes = null;
 
@@ -109,6 +126,14 @@ class UwaveServer extends EventEmitter {
   // @ts-expect-error TS2564 Definitely assigned in a plugin
   playlists;
 
+  /** @type {import('./plugins/scheduler.js').Scheduler} */
+  // @ts-expect-error TS2564 Definitely assigned in a plugin
+  scheduler;
+
+  /** @type {import('./plugins/stats.js').Stats} */
+  // @ts-expect-error TS2564 Definitely assigned in a plugin
+  stats;
+
   /** @type {import('./plugins/users.js').UsersRepository} */
   // @ts-expect-error TS2564 Definitely assigned in a plugin
   users;
@@ -163,7 +188,7 @@ class UwaveServer extends EventEmitter {
       // }),
       plugins: [
         new UwCamelCasePlugin(),
-        new SqliteDateColumnsPlugin(['createdAt', 'updatedAt', 'expiresAt', 'playedAt', 'lastSeenAt']),
+        new SqliteDateColumnsPlugin(['createdAt', 'updatedAt', 'expiresAt', 'playedAt', 'lastSeenAt', 'runAt', 'lastRunAt', 'readAt', 'editedAt']),
       ],
     });
 
@@ -199,7 +224,10 @@ class UwaveServer extends EventEmitter {
     boot.use(SocketServer.plugin);
 
     boot.use(acl);
+    boot.use(audit);
+    boot.use(automod);
     boot.use(chat);
+    boot.use(directMessages);
     boot.use(motd);
     boot.use(playlists);
     boot.use(users);
@@ -207,6 +235,8 @@ class UwaveServer extends EventEmitter {
     boot.use(history);
     boot.use(waitlist);
     boot.use(booth);
+    boot.use(scheduler);
+    boot.use(stats);
 
     boot.use(errorHandling);
   }
@@ -20,9 +20,14 @@ const moderator = [
   'waitlist.lock',
   'waitlist.join.locked',
   'booth.skip.other',
+  'booth.votes.read',
   'chat.delete',
   'chat.mute',
   'chat.unmute',
+  'chat.mutes.list',
+  'chat.slowmode.exempt',
+  'chat.links',
+  'chat.revisions',
   'chat.mention.djs',
   'users.list',
   'users.bans.list',
@@ -35,10 +40,27 @@ const manager = [
   'waitlist.clear',
   'chat.mention.everyone',
   'motd.set',
+  'schedule.manage',
+  'audit.read',
 ];
 
 /** @typedef {Record<string, import("../schema").Permission[]>} PermissionMap */
 
+/**
+ * Users can not take moderation actions against users whose highest role
+ * has a higher rank than their own.
+ *
+ * @type {Record<string, number>}
+ */
+export const defaultRanks = {
+  admin: 100,
+  manager: 80,
+  moderator: 60,
+  special: 20,
+  user: 10,
+  guest: 0,
+};
+
 export default /** @type {PermissionMap} */ (/** @type {Record<string, unknown[]>} */ ({
   admin,
   manager,
@@ -6,10 +6,27 @@ import toItemResponse from '../utils/toItemResponse.js';
 async function list(req) {
   const { acl } = req.uwave;
 
-  const roles = await acl.getAllRoles();
+  const [roles, hierarchy] = await Promise.all([
+    acl.getAllRoles(),
+    acl.getRoleHierarchy(),
+  ]);
 
   return toItemResponse(roles, {
     url: req.fullUrl,
+    meta: { hierarchy },
+  });
+}
+
+/**
+ * @type {import('../types.js').Controller}
+ */
+async function listPermissions(req) {
+  const { acl } = req.uwave;
+
+  const permissions = acl.getPermissions();
+
+  return toItemResponse(permissions, {
+    url: req.fullUrl,
   });
 }
 
@@ -18,20 +35,23 @@ async function list(req) {
  * @prop {string} name
  * @typedef {object} CreateRoleBody
  * @prop {string[]} permissions
+ * @prop {number} [rank]
  */
 
 /**
  * @type {import('../types.js').AuthenticatedController<CreateRoleParams, {}, CreateRoleBody>}
  */
 async function createRole(req, res) {
+  const { user } = req;
   const { name } = req.params;
-  const { permissions } = req.body;
+  const { permissions, rank } = req.body;
   const { acl } = req.uwave;
 
-  const role = await acl.createRole(
-    name,
-    /** @type {import('../schema.js').Permission[]} */ (permissions),
-  );
+  // This is part of request validation, see `validations.createAclRole`.
+  const validPermissions = acl.validatePermissions(permissions);
+  await acl.assertCanManageRole(user, name, rank);
+
+  const role = await acl.createRole(name, validPermissions, { rank });
 
   res.status(201);
   return toItemResponse(role, {
@@ -39,6 +59,37 @@ async function createRole(req, res) {
   });
 }
 
+/**
+ * @typedef {object} UpdateRoleParams
+ * @prop {string} name
+ * @typedef {object} UpdateRoleBody
+ * @prop {string[]} [add]
+ * @prop {string[]} [remove]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<UpdateRoleParams, {}, UpdateRoleBody>}
+ */
+async function updateRole(req) {
+  const { user } = req;
+  const { name } = req.params;
+  const { add = [], remove = [] } = req.body;
+  const { acl } = req.uwave;
+
+  // This is part of request validation, see `validations.updateAclRole`.
+  const validPermissions = acl.validatePermissions(add);
+  await acl.assertCanManageRole(user, name);
+
+  const role = await acl.updateRole(name, {
+    add: validPermissions,
+    remove: /** @type {import('../schema.js').Permission[]} */ (remove),
+  });
+
+  return toItemResponse(role, {
+    url: req.fullUrl,
+  });
+}
+
 /**
  * @type {import('../types.js').AuthenticatedController}
  */
@@ -55,6 +106,8 @@ async function deleteRole(req) {
 
 export {
   list,
+  listPermissions,
   createRole,
+  updateRole,
   deleteRole,
 };
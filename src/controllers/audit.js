@@ -0,0 +1,36 @@
+import getOffsetPagination from '../utils/getOffsetPagination.js';
+import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+
+/**
+ * @typedef {import('../schema.js').UserID} UserID
+ * @typedef {import('../schema.js').AuditAction} AuditAction
+ */
+
+/**
+ * @typedef {object} GetAuditLogQuery
+ * @prop {AuditAction} [action]
+ * @prop {UserID} [moderatorID]
+ * @prop {UserID} [userID]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<{}, GetAuditLogQuery>}
+ */
+async function getAuditLog(req) {
+  const { audit } = req.uwave;
+  const { action, moderatorID, userID } = req.query;
+  const pagination = getOffsetPagination(req.query, {
+    defaultSize: 50,
+  });
+
+  const entries = await audit.getEntries({ action, moderatorID, userID }, pagination);
+
+  return toPaginatedResponse(entries, {
+    included: {
+      user: ['moderator', 'user'],
+    },
+    baseUrl: req.fullUrl,
+  });
+}
+
+export { getAuditLog };
@@ -10,12 +10,15 @@ import getOffsetPagination from '../utils/getOffsetPagination.js';
 import toItemResponse from '../utils/toItemResponse.js';
 import toListResponse from '../utils/toListResponse.js';
 import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+import Page from '../Page.js';
 import { Permissions } from '../plugins/acl.js';
+import { withoutVoters } from '../plugins/history.js';
 
 /**
  * @typedef {import('../schema').UserID} UserID
  * @typedef {import('../schema').MediaID} MediaID
  * @typedef {import('../schema').PlaylistID} PlaylistID
+ * @typedef {import('../schema').PlaylistItemID} PlaylistItemID
  * @typedef {import('../schema').HistoryEntryID} HistoryEntryID
  */
 
@@ -94,6 +97,13 @@ async function doSkip(uw, moderatorID, userID, reason, opts = {}) {
     userID,
     reason,
   });
+  if (moderatorID != null) {
+    await uw.audit.record('booth.skip', {
+      moderatorID,
+      userID,
+      data: { reason, remove: opts.remove === true },
+    });
+  }
 
   await uw.booth.advance({
     remove: opts.remove === true,
@@ -117,7 +127,7 @@ async function doSkip(uw, moderatorID, userID, reason, opts = {}) {
 async function skipBooth(req) {
   const { user } = req;
   const { userID, reason, remove } = req.body;
-  const { acl } = req.uwave;
+  const { acl, users } = req.uwave;
 
   const skippingSelf = (!userID && !reason) || userID === user.id;
   const opts = { remove: !!remove };
@@ -137,6 +147,12 @@ async function skipBooth(req) {
     throw new PermissionError({ requiredRole: Permissions.SkipOther });
   }
 
+  const currentDJ = await getCurrentDJ(req.uwave);
+  const dj = currentDJ != null ? await users.getUser(currentDJ) : null;
+  if (dj != null) {
+    await acl.assertCanModerate(user, dj);
+  }
+
   // @ts-expect-error TS2345 pretending like `userID` is definitely defined here
   // TODO I think the typescript error is actually correct so we should fix this
   await doSkip(req.uwave, user.id, userID, reason, opts);
@@ -169,6 +185,7 @@ async function leaveBooth(req) {
   if (!user) {
     throw new UserNotFoundError({ id: userID });
   }
+  await acl.assertCanModerate(self, user);
 
   const value = await booth.setRemoveAfterCurrentPlay(user, autoLeave);
   return toItemResponse({ autoLeave: value });
@@ -200,6 +217,30 @@ async function addVote(uw, historyEntryID, userID, direction) {
     uw.publish('booth:vote', {
       userID, direction,
     });
+
+    if (direction === -1) {
+      await uw.booth.maybeSkipByVotes(historyEntryID);
+    }
+  }
+}
+
+/**
+ * Retract a vote. The feedback row is kept, because it also records favorites.
+ *
+ * @param {import('../Uwave.js').default} uw
+ * @param {HistoryEntryID} historyEntryID
+ * @param {UserID} userID
+ */
+async function removeVote(uw, historyEntryID, userID) {
+  const result = await uw.db.updateTable('feedback')
+    .where('historyEntryID', '=', historyEntryID)
+    .where('userID', '=', userID)
+    .where('vote', '!=', 0)
+    .set({ vote: 0 })
+    .executeTakeFirst();
+
+  if (result.numUpdatedRows > 0n) {
+    uw.publish('booth:voteRemoved', { userID });
   }
 }
 
@@ -208,7 +249,7 @@ async function addVote(uw, historyEntryID, userID, direction) {
  *
  * @param {import('../Uwave.js').default} uw
  * @param {UserID} userID
- * @param {1|-1} direction
+ * @param {1|0|-1} direction
  */
 async function socketVote(uw, userID, direction) {
   const currentDJ = await getCurrentDJ(uw);
@@ -219,8 +260,10 @@ async function socketVote(uw, userID, direction) {
     }
     if (direction > 0) {
       await addVote(uw, historyEntryID, userID, 1);
-    } else {
+    } else if (direction < 0) {
       await addVote(uw, historyEntryID, userID, -1);
+    } else {
+      await removeVote(uw, historyEntryID, userID);
     }
   }
 }
@@ -259,7 +302,7 @@ async function getVote(req) {
  * @typedef {object} VoteParams
  * @prop {HistoryEntryID} historyID
  * @typedef {object} VoteBody
- * @prop {1|-1} direction
+ * @prop {1|0|-1} direction - 0 retracts the current vote.
  */
 
 /**
@@ -286,8 +329,10 @@ async function vote(req) {
 
   if (direction > 0) {
     await addVote(uw, historyID, user.id, 1);
-  } else {
+  } else if (direction < 0) {
     await addVote(uw, historyID, user.id, -1);
+  } else {
+    await removeVote(uw, historyID, user.id);
   }
 
   return toItemResponse({});
@@ -356,28 +401,114 @@ async function favorite(req) {
 }
 
 /**
- * @typedef {object} GetRoomHistoryQuery
- * @prop {import('../types.js').PaginationQuery & { media?: MediaID }} [filter]
+ * @typedef {object} UnfavoriteBody
+ * @prop {HistoryEntryID} historyID - Must be the current play.
+ * @prop {PlaylistID} [playlistID] - Also remove the media from this playlist.
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<{}, {}, UnfavoriteBody>}
+ */
+async function unfavorite(req) {
+  const { user } = req;
+  const { playlistID, historyID } = req.body;
+  const { db, history, playlists } = req.uwave;
+  const uw = req.uwave;
+
+  const historyEntry = await history.getEntry(historyID);
+  if (!historyEntry) {
+    throw new HistoryEntryNotFoundError({ id: historyID });
+  }
+  // Only the current play can be unfavorited: for older plays, the newest playlist item
+  // with the same media may well have been added some other way.
+  if (historyID !== await getCurrentHistoryID(uw)) {
+    throw new HTTPError(412, 'Cannot unfavorite media that is not currently playing');
+  }
+
+  const playlist = playlistID != null
+    ? await playlists.getUserPlaylist(user, playlistID)
+    : null;
+  if (playlistID != null && !playlist) {
+    throw new PlaylistNotFoundError({ id: playlistID });
+  }
+
+  const result = await db.updateTable('feedback')
+    .where('historyEntryID', '=', historyID)
+    .where('userID', '=', user.id)
+    .where('favorite', '=', 1)
+    .set({ favorite: 0 })
+    .executeTakeFirst();
+
+  /** @type {PlaylistItemID[]} */
+  const removed = [];
+  // Only touch the playlist if this play was actually favorited, so this can't be used
+  // to remove items that the user added some other way.
+  if (result.numUpdatedRows > 0n) {
+    if (playlist) {
+      // Favoriting adds a new item, so the most recent one is the one to remove.
+      const item = await db.selectFrom('playlistItems')
+        .where('playlistID', '=', playlist.id)
+        .where('mediaID', '=', historyEntry.media.media._id)
+        .orderBy('createdAt', 'desc')
+        .select('id')
+        .executeTakeFirst();
+      if (item) {
+        await playlists.removePlaylistItems(playlist, [item.id]);
+        removed.push(item.id);
+      }
+    }
+
+    uw.publish('booth:unfavorite', {
+      userID: user.id,
+    });
+  }
+
+  return toItemResponse({ removed });
+}
+
+/**
+ * @typedef {object} GetRoomHistoryFilter
+ * @prop {UserID} [user]
+ * @prop {MediaID} [media]
+ * @prop {string} [sourceType]
+ * @prop {string} [sourceID]
+ * @prop {string} [search]
+ * @prop {string} [from]
+ * @prop {string} [to]
+ *
+ * @typedef {import('../types.js').PaginationQuery & {
+ *   filter?: GetRoomHistoryFilter,
+ *   sort?: 'playedAt' | 'score',
+ * }} GetRoomHistoryQuery
  */
 /**
  * @type {import('../types.js').Controller<never, GetRoomHistoryQuery, never>}
  */
 async function getHistory(req) {
-  const filter = {};
+  const { filter = {}, sort } = req.query;
   const pagination = getOffsetPagination(req.query, {
     defaultSize: 25,
     maxSize: 100,
   });
-  const { history } = req.uwave;
-
-  if (req.query.filter && req.query.filter.media) {
-    filter['media.media'] = req.query.filter.media;
+  const uw = req.uwave;
+  const { history } = uw;
+
+  let roomHistory = await history.getRoomHistory(pagination, {
+    user: filter.user,
+    media: filter.media,
+    // Validation ensures that these are either both present or both absent.
+    source: filter.sourceType != null && filter.sourceID != null
+      ? { sourceType: filter.sourceType, sourceID: filter.sourceID }
+      : undefined,
+    search: filter.search,
+    from: filter.from != null ? new Date(filter.from) : undefined,
+    to: filter.to != null ? new Date(filter.to) : undefined,
+    sort,
+  });
+  if (!(await uw.booth.canSeeVoters(req.user))) {
+    roomHistory = new Page(roomHistory.data.map(withoutVoters), roomHistory.opts);
   }
 
-  // TODO: Support filter?
-
-  const roomHistory = await history.getRoomHistory(pagination);
-
   return toPaginatedResponse(roomHistory, {
     baseUrl: req.fullUrl,
     included: {
@@ -387,11 +518,36 @@ async function getHistory(req) {
   });
 }
 
+/**
+ * @typedef {object} GetHistoryEntryParams
+ * @prop {HistoryEntryID} historyID
+ */
+
+/**
+ * @type {import('../types.js').Controller<GetHistoryEntryParams>}
+ */
+async function getHistoryEntry(req) {
+  const uw = req.uwave;
+  const { historyID } = req.params;
+
+  const entry = await uw.history.getEntry(historyID);
+  if (!entry) {
+    throw new HistoryEntryNotFoundError({ id: historyID });
+  }
+
+  const canSee = await uw.booth.canSeeVoters(req.user);
+  return toItemResponse(canSee ? entry : withoutVoters(entry), {
+    url: req.fullUrl,
+  });
+}
+
 export {
   favorite,
+  unfavorite,
   getBooth,
   getBoothData,
   getHistory,
+  getHistoryEntry,
   getVote,
   leaveBooth,
   skipBooth,
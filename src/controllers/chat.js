@@ -1,15 +1,38 @@
 import { UserNotFoundError, CannotSelfMuteError } from '../errors/index.js';
+import getOffsetPagination from '../utils/getOffsetPagination.js';
 import toItemResponse from '../utils/toItemResponse.js';
+import toListResponse from '../utils/toListResponse.js';
+import toPaginatedResponse from '../utils/toPaginatedResponse.js';
 
 /**
  * @typedef {import('../schema').UserID} UserID
  */
 
+/**
+ * @type {import('../types.js').Controller}
+ */
+async function getMessages(req) {
+  const { chat } = req.uwave;
+  const pagination = getOffsetPagination(req.query, {
+    defaultSize: 50,
+  });
+
+  const messages = await chat.getMessages(pagination, { viewer: req.user });
+
+  return toPaginatedResponse(messages, {
+    baseUrl: req.fullUrl,
+    included: {
+      user: ['user'],
+    },
+  });
+}
+
 /**
  * @typedef {object} MuteUserParams
  * @prop {UserID} id
  * @typedef {object} MuteUserBody
  * @prop {number} time
+ * @prop {string} [reason]
  */
 
 /**
@@ -18,7 +41,7 @@ import toItemResponse from '../utils/toItemResponse.js';
 async function muteUser(req) {
   const { user: moderator } = req;
   const { id } = req.params;
-  const duration = req.body.time;
+  const { time: duration, reason } = req.body;
   const { chat, users } = req.uwave;
 
   if (moderator.id === id) {
@@ -28,7 +51,7 @@ async function muteUser(req) {
   const user = await users.getUser(id);
   if (!user) throw new UserNotFoundError({ id });
 
-  await chat.mute(user, duration, { moderator });
+  await chat.mute(user, duration, { moderator, reason });
 
   return toItemResponse({});
 }
@@ -65,7 +88,7 @@ async function deleteAll(req) {
   const { user: moderator } = req;
   const { chat } = req.uwave;
 
-  chat.delete({}, { moderator });
+  await chat.delete({}, { moderator });
 
   return toItemResponse({});
 }
@@ -83,7 +106,7 @@ async function deleteByUser(req) {
   const { chat } = req.uwave;
   const { id } = req.params;
 
-  chat.delete({ userID: id }, { moderator });
+  await chat.delete({ userID: id }, { moderator });
 
   return toItemResponse({});
 }
@@ -101,15 +124,58 @@ async function deleteMessage(req) {
   const { chat } = req.uwave;
   const { id } = req.params;
 
-  chat.delete({ id }, { moderator });
+  await chat.delete({ id }, { moderator });
+
+  return toItemResponse({});
+}
+
+/**
+ * @typedef {object} EditMessageParams
+ * @prop {string} id
+ * @typedef {object} EditMessageBody
+ * @prop {string} message
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<EditMessageParams, {}, EditMessageBody>}
+ */
+async function editMessage(req) {
+  const { user } = req;
+  const { chat } = req.uwave;
+  const { id } = req.params;
+  const { message } = req.body;
+
+  await chat.edit(user, id, message);
 
   return toItemResponse({});
 }
 
+/**
+ * @typedef {object} GetRevisionsParams
+ * @prop {string} id
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<GetRevisionsParams>}
+ */
+async function getRevisions(req) {
+  const { chat } = req.uwave;
+  const { id } = req.params;
+
+  const revisions = await chat.getRevisions(id);
+
+  return toListResponse(revisions, {
+    url: req.fullUrl,
+  });
+}
+
 export {
+  getMessages,
   muteUser,
   unmuteUser,
   deleteAll,
   deleteByUser,
   deleteMessage,
+  editMessage,
+  getRevisions,
 };
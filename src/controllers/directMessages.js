@@ -0,0 +1,88 @@
+import { UserNotFoundError } from '../errors/index.js';
+import getOffsetPagination from '../utils/getOffsetPagination.js';
+import toItemResponse from '../utils/toItemResponse.js';
+import toListResponse from '../utils/toListResponse.js';
+import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+
+/**
+ * @typedef {import('../schema.js').UserID} UserID
+ */
+
+/**
+ * @typedef {object} ConversationParams
+ * @prop {UserID} userID
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController}
+ */
+async function getUnreadCounts(req) {
+  const { directMessages } = req.uwave;
+
+  const counts = await directMessages.getUnreadCounts(req.user);
+
+  return toListResponse(counts, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @type {import('../types.js').AuthenticatedController<ConversationParams>}
+ */
+async function getConversation(req) {
+  const { directMessages, users } = req.uwave;
+  const { userID } = req.params;
+  const pagination = getOffsetPagination(req.query, {
+    defaultSize: 50,
+  });
+
+  const other = await users.getUser(userID);
+  if (!other) {
+    throw new UserNotFoundError({ id: userID });
+  }
+
+  const messages = await directMessages.getConversation(req.user, other.id, pagination);
+
+  return toPaginatedResponse(messages, {
+    baseUrl: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} SendMessageBody
+ * @prop {string} message
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<ConversationParams, {}, SendMessageBody>}
+ */
+async function sendMessage(req) {
+  const { directMessages } = req.uwave;
+  const { userID } = req.params;
+  const { message } = req.body;
+
+  const directMessage = await directMessages.send(req.user, userID, message);
+
+  return toItemResponse(directMessage, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @type {import('../types.js').AuthenticatedController<ConversationParams>}
+ */
+async function markRead(req) {
+  const { directMessages } = req.uwave;
+  const { userID } = req.params;
+
+  await directMessages.markRead(req.user, userID);
+
+  return toItemResponse({});
+}
+
+export {
+  getUnreadCounts,
+  getConversation,
+  sendMessage,
+  markRead,
+};
@@ -1,4 +1,12 @@
-import { SourceNotFoundError, SourceNoImportError, APIError } from '../errors/index.js';
+import {
+  SourceNotFoundError,
+  SourceNoImportError,
+  APIError,
+  UnsupportedPlaylistVersionError,
+} from '../errors/index.js';
+import { PLAYLIST_FORMAT_VERSION } from '../utils/playlistFormats.js';
+import { serializePlaylist } from '../utils/serialize.js';
+import toItemResponse from '../utils/toItemResponse.js';
 
 /**
  * @param {import('../types.js').Request} req
@@ -46,4 +54,40 @@ async function importAction(req) {
   }
 }
 
-export { importAction };
+/**
+ * @typedef {object} ImportPlaylistBody
+ * @prop {'u-wave-playlist'} format
+ * @prop {number} version
+ * @prop {string} name
+ * @prop {{
+ *   artist: string,
+ *   title: string,
+ *   start: number,
+ *   end: number,
+ *   media: { sourceType: string, sourceID: string },
+ * }[]} items
+ */
+
+/**
+ * Import a playlist that was exported from a üWave server.
+ *
+ * @type {import('../types.js').AuthenticatedController<{}, {}, ImportPlaylistBody>}
+ */
+async function importPlaylist(req) {
+  const { user } = req;
+  const { playlists } = req.uwave;
+  const { version, name, items } = req.body;
+
+  if (version > PLAYLIST_FORMAT_VERSION) {
+    throw new UnsupportedPlaylistVersionError({ version });
+  }
+
+  const { playlist, active, unresolved } = await playlists.importPlaylist(user, { name, items });
+
+  return toItemResponse(serializePlaylist(playlist), {
+    url: req.fullUrl,
+    meta: { active, unresolved },
+  });
+}
+
+export { importAction, importPlaylist };
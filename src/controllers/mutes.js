@@ -0,0 +1,127 @@
+import { CannotSelfMuteError, UserNotFoundError } from '../errors/index.js';
+import getOffsetPagination from '../utils/getOffsetPagination.js';
+import toItemResponse from '../utils/toItemResponse.js';
+import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+
+/** @typedef {import('../schema').UserID} UserID */
+
+/**
+ * @typedef {object} GetMutesQuery
+ * @prop {string} [filter]
+ * @prop {'active' | 'expired'} [status]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<{}, GetMutesQuery>}
+ */
+async function getMutes(req) {
+  const { chat } = req.uwave;
+  const { filter, status } = req.query;
+  const pagination = getOffsetPagination(req.query);
+
+  const mutes = await chat.getMutes(filter, pagination, {
+    active: status != null ? status === 'active' : undefined,
+  });
+
+  return toPaginatedResponse(mutes, {
+    included: {
+      user: ['user', 'moderator'],
+    },
+    baseUrl: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} AddMuteBody
+ * @prop {UserID} userID
+ * @prop {number} duration
+ * @prop {string} [reason]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<{}, {}, AddMuteBody>}
+ */
+async function addMute(req) {
+  const { user: moderator } = req;
+  const { chat, users } = req.uwave;
+  const { userID, duration, reason = '' } = req.body;
+
+  if (moderator.id === userID) {
+    throw new CannotSelfMuteError({ unmute: false });
+  }
+
+  const user = await users.getUser(userID);
+  if (!user) {
+    throw new UserNotFoundError({ id: userID });
+  }
+
+  const mute = await chat.mute(user, duration, { moderator, reason });
+
+  return toItemResponse(mute, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} UpdateMuteParams
+ * @prop {UserID} userID
+ * @typedef {object} UpdateMuteBody
+ * @prop {number} duration
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<UpdateMuteParams, {}, UpdateMuteBody>}
+ */
+async function updateMute(req) {
+  const { user: moderator } = req;
+  const { chat, users } = req.uwave;
+  const { userID } = req.params;
+  const { duration } = req.body;
+
+  const user = await users.getUser(userID);
+  if (!user) {
+    throw new UserNotFoundError({ id: userID });
+  }
+
+  const mute = await chat.updateMute(user, duration, { moderator });
+
+  return toItemResponse(mute, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} RemoveMuteParams
+ * @prop {UserID} userID
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<RemoveMuteParams>}
+ */
+async function removeMute(req) {
+  const { user: moderator } = req;
+  const { chat, users } = req.uwave;
+  const { userID } = req.params;
+
+  if (moderator.id === userID) {
+    throw new CannotSelfMuteError({ unmute: true });
+  }
+
+  const user = await users.getUser(userID);
+  if (!user) {
+    throw new UserNotFoundError({ id: userID });
+  }
+
+  await chat.unmute(user, { moderator });
+
+  return toItemResponse({}, {
+    url: req.fullUrl,
+  });
+}
+
+export {
+  getMutes,
+  addMute,
+  updateMute,
+  removeMute,
+};
@@ -63,6 +63,7 @@ async function getState(req) {
   const { user, sessionID } = req;
 
   const motd = uw.motd.get();
+  const chat = uw.chat.getRecentMessages(user);
   const users = getOnlineUsers(uw);
   const guests = getGuestsCount(uw);
   const roles = uw.acl.getAllRoles();
@@ -70,6 +71,7 @@ async function getState(req) {
   const waitlist = uw.waitlist.getUserIDs();
   const waitlistLocked = uw.waitlist.isLocked();
   const autoLeave = user != null ? uw.booth.getRemoveAfterCurrentPlay(user) : false;
+  const blockedUsers = user != null ? uw.users.getBlockedUserIDs(user) : [];
   let activePlaylist = user?.activePlaylistID
     ? uw.playlists.getUserPlaylist(user, user.activePlaylistID).catch((error) => {
       // If the playlist was not found, our database is inconsistent. A deleted or nonexistent
@@ -93,6 +95,7 @@ async function getState(req) {
 
   const stateShape = {
     motd,
+    chat,
     user: user ? serializeCurrentUser(user) : null,
     users,
     guests,
@@ -101,6 +104,7 @@ async function getState(req) {
     waitlist,
     waitlistLocked,
     autoLeave,
+    blockedUsers,
     activePlaylist: activePlaylist.then((playlist) => playlist?.id ?? null),
     firstActivePlaylistItem,
     playlists,
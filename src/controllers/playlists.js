@@ -1,4 +1,7 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import { HTTPError, PlaylistNotFoundError } from '../errors/index.js';
+import { exportFormats } from '../utils/playlistFormats.js';
 import { serializePlaylist, serializePlaylistItem } from '../utils/serialize.js';
 import getOffsetPagination from '../utils/getOffsetPagination.js';
 import toItemResponse from '../utils/toItemResponse.js';
@@ -242,6 +245,41 @@ async function activatePlaylist(req) {
   return toItemResponse({});
 }
 
+/**
+ * @typedef {object} ExportPlaylistParams
+ * @prop {PlaylistID} id
+ * @typedef {object} ExportPlaylistQuery
+ * @prop {keyof typeof exportFormats} format
+ */
+
+/**
+ * Stream all items in a playlist as a file download. This does not go through `route()`,
+ * because the response is not a JSON API response.
+ *
+ * @param {import('../types.js').AuthenticatedRequest<
+ *     ExportPlaylistParams, ExportPlaylistQuery>} req
+ * @param {import('express').Response} res
+ */
+async function exportPlaylist(req, res) {
+  const { user } = req;
+  const { playlists } = req.uwave;
+  const { id } = req.params;
+  const format = exportFormats[req.query.format];
+
+  const playlist = await playlists.getUserPlaylist(user, id);
+  if (!playlist) {
+    throw new PlaylistNotFoundError({ id });
+  }
+
+  // Keep the file name safe for all operating systems.
+  const fileName = playlist.name.replace(/[^\p{L}\p{N} _.-]+/gu, '_').trim() || 'playlist';
+  res.attachment(`${fileName}.${format.extension}`);
+  res.type(format.contentType);
+
+  const items = playlists.iteratePlaylistItems(playlist);
+  await pipeline(Readable.from(format.serialize(playlist, items)), res);
+}
+
 /**
  * @typedef {object} GetPlaylistItemsParams
  * @prop {PlaylistID} id
@@ -518,6 +556,7 @@ export {
   updatePlaylist,
   renamePlaylist,
   activatePlaylist,
+  exportPlaylist,
   getPlaylistItems,
   addPlaylistItems,
   removePlaylistItems,
@@ -0,0 +1,131 @@
+import getOffsetPagination from '../utils/getOffsetPagination.js';
+import toItemResponse from '../utils/toItemResponse.js';
+import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+
+/**
+ * @typedef {import('../schema.js').ScheduledJobID} ScheduledJobID
+ * @typedef {import('../schema.js').ScheduledJobAction} ScheduledJobAction
+ * @typedef {import('type-fest').JsonObject} JsonObject
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController}
+ */
+async function getScheduledJobs(req) {
+  const { scheduler } = req.uwave;
+  const pagination = getOffsetPagination(req.query, {
+    defaultSize: 50,
+  });
+
+  const jobs = await scheduler.getJobs(pagination);
+
+  return toPaginatedResponse(jobs, {
+    baseUrl: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} ScheduledJobParams
+ * @prop {ScheduledJobID} id
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<ScheduledJobParams>}
+ */
+async function getScheduledJob(req) {
+  const { scheduler } = req.uwave;
+  const { id } = req.params;
+
+  const job = await scheduler.getJob(id);
+
+  return toItemResponse(job, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} CreateScheduledJobBody
+ * @prop {ScheduledJobAction} action
+ * @prop {JsonObject} [data]
+ * @prop {string} [runAt]
+ * @prop {string} [recurrence]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<{}, {}, CreateScheduledJobBody>}
+ */
+async function createScheduledJob(req) {
+  const { user } = req;
+  const { scheduler } = req.uwave;
+  const {
+    action,
+    data,
+    runAt,
+    recurrence,
+  } = req.body;
+
+  const job = await scheduler.createJob({
+    action,
+    data,
+    runAt: runAt != null ? new Date(runAt) : null,
+    recurrence,
+  }, { user });
+
+  return toItemResponse(job, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} UpdateScheduledJobBody
+ * @prop {ScheduledJobAction} [action]
+ * @prop {JsonObject|null} [data]
+ * @prop {string} [runAt]
+ * @prop {string|null} [recurrence]
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<
+ *     ScheduledJobParams, {}, UpdateScheduledJobBody>}
+ */
+async function updateScheduledJob(req) {
+  const { scheduler } = req.uwave;
+  const { id } = req.params;
+  const {
+    action,
+    data,
+    runAt,
+    recurrence,
+  } = req.body;
+
+  const job = await scheduler.updateJob(id, {
+    action,
+    data,
+    runAt: runAt != null ? new Date(runAt) : undefined,
+    recurrence,
+  });
+
+  return toItemResponse(job, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @type {import('../types.js').AuthenticatedController<ScheduledJobParams>}
+ */
+async function deleteScheduledJob(req) {
+  const { scheduler } = req.uwave;
+  const { id } = req.params;
+
+  await scheduler.deleteJob(id);
+
+  return toItemResponse({});
+}
+
+export {
+  getScheduledJobs,
+  getScheduledJob,
+  createScheduledJob,
+  updateScheduledJob,
+  deleteScheduledJob,
+};
@@ -0,0 +1,113 @@
+import getOffsetPagination from '../utils/getOffsetPagination.js';
+import toItemResponse from '../utils/toItemResponse.js';
+import toListResponse from '../utils/toListResponse.js';
+
+/**
+ * @typedef {import('../plugins/stats.js').StatsWindow} StatsWindow
+ */
+
+/**
+ * @typedef {object} GetStatsQuery
+ * @prop {StatsWindow} window
+ */
+
+/**
+ * @type {import('../types.js').Controller<{}, GetStatsQuery>}
+ */
+async function getSummary(req) {
+  const { stats } = req.uwave;
+  const { window } = req.query;
+
+  const summary = await stats.getSummary(window);
+
+  return toItemResponse(summary, {
+    url: req.fullUrl,
+    meta: { window },
+  });
+}
+
+/**
+ * @type {import('../types.js').Controller<{}, GetStatsQuery>}
+ */
+async function getPlaysPerDay(req) {
+  const { stats } = req.uwave;
+  const { window } = req.query;
+
+  const days = await stats.getPlaysPerDay(window);
+
+  return toListResponse(days, {
+    url: req.fullUrl,
+    meta: { window },
+  });
+}
+
+/**
+ * @type {import('../types.js').Controller<{}, GetStatsQuery>}
+ */
+async function getMostPlayedMedia(req) {
+  const { stats } = req.uwave;
+  const { window } = req.query;
+  const { limit } = getOffsetPagination(req.query, {
+    defaultSize: 10,
+  });
+
+  const list = await stats.getMostPlayedMedia(window, { limit });
+
+  return toListResponse(list, {
+    url: req.fullUrl,
+    meta: { window },
+    included: {
+      media: ['media'],
+    },
+  });
+}
+
+/**
+ * @type {import('../types.js').Controller<{}, GetStatsQuery>}
+ */
+async function getMostUpvotedMedia(req) {
+  const { stats } = req.uwave;
+  const { window } = req.query;
+  const { limit } = getOffsetPagination(req.query, {
+    defaultSize: 10,
+  });
+
+  const list = await stats.getMostUpvotedMedia(window, { limit });
+
+  return toListResponse(list, {
+    url: req.fullUrl,
+    meta: { window },
+    included: {
+      media: ['media'],
+    },
+  });
+}
+
+/**
+ * @type {import('../types.js').Controller<{}, GetStatsQuery>}
+ */
+async function getTopDJs(req) {
+  const { stats } = req.uwave;
+  const { window } = req.query;
+  const { limit } = getOffsetPagination(req.query, {
+    defaultSize: 10,
+  });
+
+  const list = await stats.getTopDJs(window, { limit });
+
+  return toListResponse(list, {
+    url: req.fullUrl,
+    meta: { window },
+    included: {
+      user: ['user'],
+    },
+  });
+}
+
+export {
+  getSummary,
+  getPlaysPerDay,
+  getMostPlayedMedia,
+  getMostUpvotedMedia,
+  getTopDJs,
+};
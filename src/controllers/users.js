@@ -1,6 +1,8 @@
 import {
+  CannotSelfBlockError,
   HTTPError,
   PermissionError,
+  PrivateVoteHistoryError,
   UserNotFoundError,
   UserNotInWaitlistError,
 } from '../errors/index.js';
@@ -9,6 +11,9 @@ import getOffsetPagination from '../utils/getOffsetPagination.js';
 import toItemResponse from '../utils/toItemResponse.js';
 import toListResponse from '../utils/toListResponse.js';
 import toPaginatedResponse from '../utils/toPaginatedResponse.js';
+import { serializeUser } from '../utils/serialize.js';
+import Page from '../Page.js';
+import { withoutVoters } from '../plugins/history.js';
 import { muteUser, unmuteUser } from './chat.js';
 import { REDIS_ACTIVE_SESSIONS } from '../SocketServer.js';
 
@@ -107,8 +112,9 @@ async function addUserRole(req) {
   if (!user) {
     throw new UserNotFoundError({ id });
   }
+  await acl.assertCanModerate(moderator, user);
 
-  await acl.allow(user, [role]);
+  await acl.allow(user, [role], { moderator });
 
   return toItemResponse({}, {
     url: req.fullUrl,
@@ -138,8 +144,9 @@ async function removeUserRole(req) {
   if (!user) {
     throw new UserNotFoundError({ id });
   }
+  await acl.assertCanModerate(moderator, user);
 
-  await acl.disallow(user, [role]);
+  await acl.disallow(user, [role], { moderator });
 
   return toItemResponse({}, {
     url: req.fullUrl,
@@ -227,7 +234,10 @@ async function getHistory(req) {
     throw new UserNotFoundError({ id });
   }
 
-  const history = await uw.history.getUserHistory(user, pagination);
+  let history = await uw.history.getUserHistory(user, pagination);
+  if (!(await uw.booth.canSeeVoters(req.user))) {
+    history = new Page(history.data.map(withoutVoters), history.opts);
+  }
 
   return toPaginatedResponse(history, {
     baseUrl: req.fullUrl,
@@ -238,6 +248,116 @@ async function getHistory(req) {
   });
 }
 
+/**
+ * @typedef {object} GetProfileParams
+ * @prop {UserID} id
+ */
+
+/**
+ * @type {import('../types.js').Controller<GetProfileParams>}
+ */
+async function getProfile(req) {
+  const { id } = req.params;
+  const uw = req.uwave;
+
+  const user = await uw.users.getUser(id);
+  if (!user) {
+    throw new UserNotFoundError({ id });
+  }
+
+  const stats = await uw.history.getUserStats(user);
+
+  return toItemResponse({
+    user: serializeUser(user),
+    // In milliseconds.
+    accountAge: Date.now() - user.createdAt.getTime(),
+    stats,
+  }, {
+    url: req.fullUrl,
+  });
+}
+
+/**
+ * @typedef {object} GetVotesParams
+ * @prop {UserID} id
+ */
+
+/**
+ * @type {import('../types.js').Controller<GetVotesParams>}
+ */
+async function getVotes(req) {
+  const { id } = req.params;
+  const pagination = getOffsetPagination(req.query, {
+    defaultSize: 25,
+    maxSize: 100,
+  });
+  const uw = req.uwave;
+
+  const user = await uw.users.getUser(id);
+  if (!user) {
+    throw new UserNotFoundError({ id });
+  }
+
+  const canSeeVoters = await uw.booth.canSeeVoters(req.user);
+  if (req.user?.id !== id && !canSeeVoters) {
+    throw new PrivateVoteHistoryError();
+  }
+
+  let votes = await uw.history.getUserVotes(user, pagination);
+  // Users can always see their own votes, but not who else voted on the same plays.
+  if (!canSeeVoters) {
+    votes = new Page(votes.data.map(withoutVoters), votes.opts);
+  }
+
+  return toPaginatedResponse(votes, {
+    baseUrl: req.fullUrl,
+    included: {
+      media: ['media.media'],
+      user: ['user'],
+    },
+  });
+}
+
+/**
+ * @typedef {object} BlockUserParams
+ * @prop {UserID} id
+ */
+
+/**
+ * @type {import('../types.js').AuthenticatedController<BlockUserParams>}
+ */
+async function blockUser(req) {
+  const { user } = req;
+  const { id } = req.params;
+  const { users } = req.uwave;
+
+  if (user.id === id) {
+    throw new CannotSelfBlockError();
+  }
+
+  const blockedUser = await users.getUser(id);
+  if (!blockedUser) {
+    throw new UserNotFoundError({ id });
+  }
+
+  await users.block(user, blockedUser);
+
+  return toItemResponse({});
+}
+
+/**
+ * @type {import('../types.js').AuthenticatedController<BlockUserParams>}
+ */
+async function unblockUser(req) {
+  const { user } = req;
+  const { id } = req.params;
+  const { users } = req.uwave;
+
+  await users.unblock(user, id);
+
+  return toItemResponse({});
+}
+
 export {
   getUsers,
   getUser,
@@ -248,6 +368,10 @@ export {
   changeAvatar,
   disconnectUser,
   getHistory,
+  getProfile,
+  getVotes,
+  blockUser,
+  unblockUser,
   muteUser,
   unmuteUser,
 };
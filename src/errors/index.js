@@ -115,6 +115,18 @@ const PermissionError = createErrorClass('PermissionError', {
   base: Forbidden,
 });
 
+const InsufficientRankError = createErrorClass('InsufficientRankError', {
+  code: 'insufficient-rank',
+  string: ({ role }) => (role ? 'errors.insufficientRoleRank' : 'errors.insufficientRank'),
+  base: Forbidden,
+});
+
+const UnknownPermissionError = createErrorClass('UnknownPermissionError', {
+  code: 'unknown-permission',
+  string: 'errors.unknownPermission',
+  base: BadRequest,
+});
+
 const LoginRequiredError = createErrorClass('LoginRequiredError', {
   code: 'forbidden',
   string: 'errors.loginRequired',
@@ -127,6 +139,12 @@ const BannedError = createErrorClass('BannedError', {
   base: Forbidden,
 });
 
+const PrivateVoteHistoryError = createErrorClass('PrivateVoteHistoryError', {
+  code: 'private-vote-history',
+  string: 'errors.privateVoteHistory',
+  base: Forbidden,
+});
+
 const RateLimitError = createErrorClass('RateLimitError', {
   code: 'too-many-requests',
   string: 'errors.tooManyRequests',
@@ -139,6 +157,24 @@ const NameChangeRateLimitError = createErrorClass('NameChangeRateLimitError', {
   base: TooManyRequests,
 });
 
+const ChatRateLimitError = createErrorClass('ChatRateLimitError', {
+  code: 'chat-rate-limit',
+  string: 'errors.chatRateLimit',
+  base: TooManyRequests,
+});
+
+const MutedError = createErrorClass('MutedError', {
+  code: 'muted',
+  string: 'errors.muted',
+  base: Forbidden,
+});
+
+const CannotMessageUserError = createErrorClass('CannotMessageUserError', {
+  code: 'cannot-message-user',
+  string: 'errors.cannotMessageUser',
+  base: Forbidden,
+});
+
 const InvalidEmailError = createErrorClass('InvalidEmailError', {
   code: 'invalid-email',
   string: 'errors.invalidEmail',
@@ -235,6 +271,36 @@ const CannotSelfMuteError = createErrorClass('CannotSelfMuteError', {
   base: Forbidden,
 });
 
+const ChatMessageNotFoundError = createErrorClass('ChatMessageNotFoundError', {
+  code: 'chat-message-not-found',
+  string: 'errors.chatMessageNotFound',
+  base: NotFound,
+});
+
+const MuteNotFoundError = createErrorClass('MuteNotFoundError', {
+  code: 'mute-not-found',
+  string: 'errors.muteNotFound',
+  base: NotFound,
+});
+
+const ChatEditExpiredError = createErrorClass('ChatEditExpiredError', {
+  code: 'chat-edit-expired',
+  string: 'errors.chatEditExpired',
+  base: Forbidden,
+});
+
+const InvalidReactionError = createErrorClass('InvalidReactionError', {
+  code: 'invalid-reaction',
+  string: 'errors.invalidReaction',
+  base: BadRequest,
+});
+
+const CannotSelfBlockError = createErrorClass('CannotSelfBlockError', {
+  code: 'no-self-block',
+  string: 'errors.noSelfBlock',
+  base: Forbidden,
+});
+
 const SourceNotFoundError = createErrorClass('SourceNotFoundError', {
   code: 'source-not-found',
   string: 'errors.sourceNotFound',
@@ -253,6 +319,18 @@ const EmptyPlaylistError = createErrorClass('EmptyPlaylistError', {
   base: Forbidden,
 });
 
+const MediaTooLongError = createErrorClass('MediaTooLongError', {
+  code: 'media-too-long',
+  string: 'errors.mediaTooLong',
+  base: Forbidden,
+});
+
+const RecentlyPlayedError = createErrorClass('RecentlyPlayedError', {
+  code: 'recently-played',
+  string: 'errors.recentlyPlayed',
+  base: Forbidden,
+});
+
 const WaitlistLockedError = createErrorClass('WaitlistLockedError', {
   code: 'waitlist-locked',
   string: 'errors.waitlistLocked',
@@ -277,15 +355,44 @@ const UserIsPlayingError = createErrorClass('UserIsPlayingError', {
   base: BadRequest,
 });
 
+const WaitlistCooldownError = createErrorClass('WaitlistCooldownError', {
+  code: 'waitlist-cooldown',
+  string: 'errors.waitlistCooldown',
+  base: Forbidden,
+});
+
+const ScheduledJobNotFoundError = createErrorClass('ScheduledJobNotFoundError', {
+  code: 'scheduled-job-not-found',
+  string: 'errors.scheduledJobNotFound',
+  base: NotFound,
+});
+
+const InvalidRecurrenceError = createErrorClass('InvalidRecurrenceError', {
+  code: 'invalid-recurrence',
+  string: 'errors.invalidRecurrence',
+  base: BadRequest,
+});
+
+const UnsupportedPlaylistVersionError = createErrorClass('UnsupportedPlaylistVersionError', {
+  code: 'unsupported-playlist-version',
+  string: 'errors.unsupportedPlaylistVersion',
+  base: BadRequest,
+});
+
 export {
   APIError,
   CombinedError,
   HTTPError,
   PermissionError,
+  InsufficientRankError,
+  UnknownPermissionError,
   LoginRequiredError,
   BannedError,
   RateLimitError,
   NameChangeRateLimitError,
+  ChatRateLimitError,
+  MutedError,
+  CannotMessageUserError,
   InvalidEmailError,
   UsedEmailError,
   InvalidUsernameError,
@@ -294,6 +401,7 @@ export {
   ReCaptchaError,
   IncorrectPasswordError,
   UserNotFoundError,
+  PrivateVoteHistoryError,
   RoleNotFoundError,
   PlaylistNotFoundError,
   PlaylistItemNotFoundError,
@@ -302,11 +410,22 @@ export {
   ItemNotInPlaylistError,
   CannotSelfFavoriteError,
   CannotSelfMuteError,
+  CannotSelfBlockError,
+  ChatMessageNotFoundError,
+  ChatEditExpiredError,
+  MuteNotFoundError,
+  InvalidReactionError,
   SourceNotFoundError,
   SourceNoImportError,
   EmptyPlaylistError,
+  MediaTooLongError,
+  RecentlyPlayedError,
   WaitlistLockedError,
   AlreadyInWaitlistError,
   UserNotInWaitlistError,
   UserIsPlayingError,
+  WaitlistCooldownError,
+  ScheduledJobNotFoundError,
+  InvalidRecurrenceError,
+  UnsupportedPlaylistVersionError,
 };
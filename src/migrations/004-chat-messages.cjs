@@ -0,0 +1,38 @@
+/**
+ * Store chat messages, so users joining later can see what was said before.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createTable('chat_messages')
+    .addColumn('id', 'uuid', (col) => col.primaryKey())
+    .addColumn('user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('message', 'text', (col) => col.notNull())
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+  await db.schema.createIndex('chat_messages_created_at')
+    .on('chat_messages')
+    .column('created_at')
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('chat_messages').execute();
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+/**
+ * Store scheduled room actions, like locking the waitlist at a given time.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createTable('scheduled_jobs')
+    .addColumn('id', 'uuid', (col) => col.primaryKey())
+    .addColumn('action', 'text', (col) => col.notNull())
+    .addColumn('data', 'jsonb')
+    .addColumn('run_at', 'timestamp', (col) => col.notNull())
+    .addColumn('recurrence', 'text')
+    .addColumn('user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('last_run_at', 'timestamp')
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .addColumn('updated_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+  await db.schema.createIndex('scheduled_jobs_run_at')
+    .on('scheduled_jobs')
+    .column('run_at')
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('scheduled_jobs').execute();
+}
+
+module.exports = { up, down };
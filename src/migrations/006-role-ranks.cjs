@@ -0,0 +1,47 @@
+/**
+ * Give roles a rank, so moderators can not take action against users in
+ * higher-ranked roles.
+ */
+
+'use strict';
+
+/** Ranks for the default roles, as of this migration. */
+const DEFAULT_RANKS = {
+  admin: 100,
+  manager: 80,
+  moderator: 60,
+  special: 20,
+  user: 10,
+  guest: 0,
+};
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('roles')
+    .addColumn('rank', 'integer', (col) => col.notNull().defaultTo(0))
+    .execute();
+
+  for (const [id, rank] of Object.entries(DEFAULT_RANKS)) {
+    await db.updateTable('roles')
+      .where('id', '=', id)
+      .set({ rank })
+      .execute();
+  }
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('roles')
+    .dropColumn('rank')
+    .execute();
+}
+
+module.exports = { up, down };
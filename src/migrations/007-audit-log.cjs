@@ -0,0 +1,44 @@
+/**
+ * Keep a record of moderation and admin actions.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createTable('audit_log')
+    .addColumn('id', 'uuid', (col) => col.primaryKey())
+    .addColumn('action', 'text', (col) => col.notNull())
+    .addColumn('moderator_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('user_id', 'uuid', (col) => col.references('users.id'))
+    .addColumn('data', 'jsonb')
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+  await db.schema.createIndex('audit_log_created_at')
+    .on('audit_log')
+    .column('created_at')
+    .execute();
+  await db.schema.createIndex('audit_log_user_id')
+    .on('audit_log')
+    .column('user_id')
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('audit_log').execute();
+}
+
+module.exports = { up, down };
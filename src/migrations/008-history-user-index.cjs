@@ -0,0 +1,28 @@
+/**
+ * Index history entries by user, for user history and profile statistics.
+ */
+
+'use strict';
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createIndex('history_entries_user_id')
+    .on('history_entries')
+    .column('user_id')
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropIndex('history_entries_user_id').execute();
+}
+
+module.exports = { up, down };
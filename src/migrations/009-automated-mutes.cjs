@@ -0,0 +1,61 @@
+/**
+ * Allow mutes without a moderator, for mutes issued automatically by automod.
+ * SQLite can not drop a NOT NULL constraint, so the table is rebuilt.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('kysely').Kysely<any>} db
+ * @param {{ nullableModerator: boolean }} options
+ */
+async function rebuildMutes(db, { nullableModerator }) {
+  await db.schema.createTable('mutes_new')
+    .addColumn('user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('moderator_id', 'uuid', (col) => (nullableModerator
+      ? col.references('users.id')
+      : col.notNull().references('users.id')))
+    .addColumn('expires_at', 'timestamp', (col) => col.notNull())
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .addColumn('updated_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+
+  let rows = db.selectFrom('mutes')
+    .select(['user_id', 'moderator_id', 'expires_at', 'created_at', 'updated_at']);
+  if (!nullableModerator) {
+    rows = rows.where('moderator_id', 'is not', null);
+  }
+  await db.insertInto('mutes_new')
+    .columns(['user_id', 'moderator_id', 'expires_at', 'created_at', 'updated_at'])
+    .expression(rows)
+    .execute();
+
+  await db.schema.dropTable('mutes').execute();
+  await db.schema.alterTable('mutes_new').renameTo('mutes').execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  await uw.db.transaction().execute(async (tx) => {
+    await rebuildMutes(tx.withoutPlugins(), { nullableModerator: true });
+  });
+}
+
+/**
+ * Automated mutes are dropped when migrating down.
+ *
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  await uw.db.transaction().execute(async (tx) => {
+    await rebuildMutes(tx.withoutPlugins(), { nullableModerator: false });
+  });
+}
+
+module.exports = { up, down };
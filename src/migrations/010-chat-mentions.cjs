@@ -0,0 +1,31 @@
+/**
+ * Store the users mentioned in chat messages.
+ */
+
+'use strict';
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  // SQLite does not allow expressions as defaults for new columns, so this can't be
+  // `jsonb('[]')`. The JSON functions accept text JSON just the same.
+  await db.schema.alterTable('chat_messages')
+    .addColumn('mentions', 'jsonb', (col) => col.notNull().defaultTo('[]'))
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('chat_messages')
+    .dropColumn('mentions')
+    .execute();
+}
+
+module.exports = { up, down };
@@ -0,0 +1,52 @@
+/**
+ * Store private messages between users, and the users that each user blocked.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createTable('direct_messages')
+    .addColumn('id', 'uuid', (col) => col.primaryKey())
+    .addColumn('sender_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('recipient_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('message', 'text', (col) => col.notNull())
+    .addColumn('read_at', 'timestamp')
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+  await db.schema.createIndex('direct_messages_conversation')
+    .on('direct_messages')
+    .columns(['sender_id', 'recipient_id', 'created_at'])
+    .execute();
+  await db.schema.createIndex('direct_messages_unread')
+    .on('direct_messages')
+    .columns(['recipient_id', 'read_at'])
+    .execute();
+
+  await db.schema.createTable('user_blocks')
+    .addColumn('user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('blocked_user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .addPrimaryKeyConstraint('user_blocks_pkey', ['user_id', 'blocked_user_id'])
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('user_blocks').execute();
+  await db.schema.dropTable('direct_messages').execute();
+}
+
+module.exports = { up, down };
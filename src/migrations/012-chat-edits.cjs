@@ -0,0 +1,48 @@
+/**
+ * Allow editing chat messages, keeping earlier versions around for moderators.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('chat_messages')
+    .addColumn('edited_at', 'timestamp')
+    .execute();
+
+  await db.schema.createTable('chat_message_revisions')
+    .addColumn('message_id', 'uuid', (col) => col.notNull()
+      .references('chat_messages.id')
+      .onDelete('cascade'))
+    .addColumn('message', 'text', (col) => col.notNull())
+    // When this version of the message was written: when the message was sent,
+    // or when it was last edited before this revision.
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .execute();
+  await db.schema.createIndex('chat_message_revisions_message_id')
+    .on('chat_message_revisions')
+    .column('message_id')
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('chat_message_revisions').execute();
+  await db.schema.alterTable('chat_messages')
+    .dropColumn('edited_at')
+    .execute();
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+/**
+ * Store emoji and emote reactions to chat messages.
+ */
+
+'use strict';
+
+const { sql } = require('kysely');
+
+const now = sql`(strftime('%FT%TZ', 'now'))`;
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.createTable('chat_message_reactions')
+    .addColumn('message_id', 'uuid', (col) => col.notNull()
+      .references('chat_messages.id')
+      .onDelete('cascade'))
+    .addColumn('user_id', 'uuid', (col) => col.notNull().references('users.id'))
+    .addColumn('reaction', 'text', (col) => col.notNull())
+    .addColumn('created_at', 'timestamp', (col) => col.notNull().defaultTo(now))
+    .addPrimaryKeyConstraint('chat_message_reactions_pkey', ['message_id', 'user_id', 'reaction'])
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.dropTable('chat_message_reactions').execute();
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+/**
+ * Store why a user was muted.
+ */
+
+'use strict';
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function up({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('mutes')
+    .addColumn('reason', 'text', (col) => col.notNull().defaultTo(''))
+    .execute();
+}
+
+/**
+ * @param {import('umzug').MigrationParams<import('../Uwave').default>} params
+ */
+async function down({ context: uw }) {
+  const { db } = uw;
+
+  await db.schema.alterTable('mutes')
+    .dropColumn('reason')
+    .execute();
+}
+
+module.exports = { up, down };
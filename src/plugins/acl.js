@@ -1,4 +1,4 @@
-import defaultRoles from '../config/defaultRoles.js';
+import defaultRoles, { defaultRanks } from '../config/defaultRoles.js';
 import routes from '../routes/acl.js';
 import {
   isForeignKeyError,
@@ -7,7 +7,11 @@ import {
   jsonb,
   jsonEach,
 } from '../utils/sqlite.js';
-import { RoleNotFoundError } from '../errors/index.js';
+import {
+  InsufficientRankError,
+  RoleNotFoundError,
+  UnknownPermissionError,
+} from '../errors/index.js';
 
 /**
  * @typedef {import('../schema.js').User} User
@@ -32,18 +36,67 @@ export const Permissions = {
   SkipSelf: p('booth.skip.self'),
   SkipOther: p('booth.skip.other'),
   Vote: p('booth.vote'),
+  VoteHistoryRead: p('booth.votes.read'),
   AclCreate: p('acl.create'),
   AclDelete: p('acl.delete'),
   ChatSend: p('chat.send'),
   ChatDelete: p('chat.delete'),
   ChatMute: p('chat.mute'),
   ChatUnmute: p('chat.unmute'),
+  ChatMuteList: p('chat.mutes.list'),
+  ChatSlowModeExempt: p('chat.slowmode.exempt'),
+  ChatLinks: p('chat.links'),
+  ChatRevisions: p('chat.revisions'),
   /** @param {string} role */
   ChatMention: (role) => p(`chat.mention.${role}`),
   UserList: p('users.list'),
   BanList: p('users.bans.list'),
   BanAdd: p('users.bans.add'),
   BanRemove: p('users.bans.remove'),
+  ScheduleManage: p('schedule.manage'),
+  AuditRead: p('audit.read'),
+};
+
+/**
+ * Descriptions of the built-in permissions, for building role editors.
+ * Plugins can add their own using `uw.acl.registerPermission()`.
+ *
+ * @type {Record<string, string>}
+ */
+const builtinPermissions = {
+  [Permissions.Super]: 'Do anything, including things that require other permissions.',
+  [Permissions.MotdSet]: 'Change the message of the day.',
+  [Permissions.WaitlistJoin]: 'Join the waitlist.',
+  [Permissions.WaitlistJoinLocked]: 'Join the waitlist while it is locked.',
+  [Permissions.WaitlistLeave]: 'Leave the waitlist.',
+  [Permissions.WaitlistClear]: 'Remove everyone from the waitlist.',
+  [Permissions.WaitlistLock]: 'Lock and unlock the waitlist.',
+  [Permissions.WaitlistAdd]: 'Add other users to the waitlist.',
+  [Permissions.WaitlistMove]: 'Move users to a different position in the waitlist.',
+  [Permissions.WaitlistRemove]: 'Remove other users from the waitlist.',
+  [Permissions.SkipSelf]: 'Skip your own play.',
+  [Permissions.SkipOther]: 'Skip plays by other users.',
+  [Permissions.Vote]: 'Upvote and downvote plays.',
+  [Permissions.VoteHistoryRead]: 'See who voted on past plays, even if vote history is private.',
+  [Permissions.AclCreate]: 'Create and change roles.',
+  [Permissions.AclDelete]: 'Delete roles.',
+  [Permissions.ChatSend]: 'Send chat messages.',
+  [Permissions.ChatDelete]: 'Delete chat messages.',
+  [Permissions.ChatMute]: 'Mute users in chat.',
+  [Permissions.ChatUnmute]: 'Unmute users in chat.',
+  [Permissions.ChatMuteList]: 'List current and past chat mutes.',
+  [Permissions.ChatSlowModeExempt]: 'Send chat messages without slow mode or burst limits.',
+  [Permissions.ChatLinks]: 'Post links in chat when automod blocks them.',
+  [Permissions.ChatRevisions]: 'See earlier versions of edited chat messages.',
+  [Permissions.ChatMention('staff')]: 'Mention all staff members at once with @staff.',
+  [Permissions.ChatMention('djs')]: 'Mention everyone in the waitlist at once with @djs.',
+  [Permissions.ChatMention('everyone')]: 'Mention everyone at once with @everyone.',
+  [Permissions.UserList]: 'List all users.',
+  [Permissions.BanList]: 'List banned users.',
+  [Permissions.BanAdd]: 'Ban users.',
+  [Permissions.BanRemove]: 'Unban users.',
+  [Permissions.ScheduleManage]: 'Schedule actions, like locking the waitlist at a given time.',
+  [Permissions.AuditRead]: 'View the log of moderation and admin actions.',
 };
 
 class Acl {
@@ -51,12 +104,58 @@ class Acl {
 
   #logger;
 
+  /** @type {Map<Permission, { description: string }>} */
+  #permissions = new Map();
+
   /**
    * @param {import('../Uwave.js').default} uw
    */
   constructor(uw) {
     this.#uw = uw;
     this.#logger = uw.logger.child({ ns: 'uwave:acl' });
+
+    for (const [name, description] of Object.entries(builtinPermissions)) {
+      this.registerPermission(name, { description });
+    }
+  }
+
+  /**
+   * Add a permission to the catalog of known permissions. Roles can only be given
+   * known permissions through the HTTP API.
+   *
+   * @param {string} name
+   * @param {{ description: string }} options
+   * @returns {Permission}
+   */
+  registerPermission(name, { description }) {
+    const permission = p(name);
+    this.#permissions.set(permission, { description });
+    return permission;
+  }
+
+  /**
+   * List all known permissions.
+   *
+   * @returns {{ name: Permission, description: string }[]}
+   */
+  getPermissions() {
+    return Array.from(this.#permissions, ([name, { description }]) => ({ name, description }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Check that all the given permissions are known.
+   *
+   * @param {string[]} permissions
+   * @returns {Permission[]}
+   */
+  validatePermissions(permissions) {
+    return permissions.map((permission) => {
+      if (!this.#permissions.has(p(permission))) {
+        throw new UnknownPermissionError({ permission });
+      }
+      return p(permission);
+    });
   }
 
   async maybeAddDefaultRoles() {
@@ -70,7 +169,7 @@ class Acl {
       if (existingRoles === 0) {
         this.#logger.info('no roles found, adding defaults');
         for (const [roleName, permissions] of Object.entries(defaultRoles)) {
-          await this.createRole(roleName, permissions, tx);
+          await this.createRole(roleName, permissions, { rank: defaultRanks[roleName] }, tx);
         }
       }
     });
@@ -93,16 +192,71 @@ class Acl {
   }
 
   /**
+   * List roles from the highest rank to the lowest.
+   *
+   * @returns {Promise<{ name: string, rank: number }[]>}
+   */
+  async getRoleHierarchy(tx = this.#uw.db) {
+    const list = await tx.selectFrom('roles')
+      .select(['id as name', 'rank'])
+      .orderBy('rank', 'desc')
+      .orderBy('id', 'asc')
+      .execute();
+
+    return list;
+  }
+
+  /**
+   * Create or update a role. When updating, the rank is only changed if it is given.
+   *
    * @param {string} name
    * @param {Permission[]} permissions
+   * @param {{ rank?: number }} [options]
    */
-  async createRole(name, permissions, tx = this.#uw.db) {
-    await tx.insertInto('roles')
-      .values({ id: name, permissions: jsonb(permissions) })
-      .onConflict((conflict) => conflict.column('id').doUpdateSet({ permissions: jsonb(permissions) }))
-      .execute();
+  async createRole(name, permissions, options = {}, tx = this.#uw.db) {
+    const { rank } = await tx.insertInto('roles')
+      .values({ id: name, permissions: jsonb(permissions), rank: options.rank })
+      .onConflict((conflict) => conflict.column('id').doUpdateSet({
+        permissions: jsonb(permissions),
+        rank: options.rank,
+      }))
+      .returning('rank')
+      .executeTakeFirstOrThrow();
+
+    return { name, permissions, rank };
+  }
+
+  /**
+   * Add or remove individual permissions from a role.
+   *
+   * @param {string} name
+   * @param {{ add?: Permission[], remove?: Permission[] }} patch
+   */
+  async updateRole(name, patch) {
+    const { db } = this.#uw;
+
+    return db.transaction().execute(async (tx) => {
+      const role = await tx.selectFrom('roles')
+        .select([(eb) => json(eb.ref('permissions')).as('permissions'), 'rank'])
+        .where('id', '=', name)
+        .executeTakeFirst();
+      if (!role) {
+        throw new RoleNotFoundError();
+      }
+
+      const remove = new Set(patch.remove ?? []);
+      const permissions = Array.from(new Set([
+        ...fromJson(role.permissions).filter((permission) => !remove.has(permission)),
+        ...(patch.add ?? []),
+      ]));
 
-    return { name, permissions };
+      await tx.updateTable('roles')
+        .where('id', '=', name)
+        .set({ permissions: jsonb(permissions) })
+        .execute();
+
+      return { name, permissions, rank: role.rank };
+    });
   }
 
   /**
@@ -120,9 +274,10 @@ class Acl {
   /**
    * @param {User} user
    * @param {string[]} roleNames
+   * @param {{ moderator?: User }} [options]
    * @returns {Promise<void>}
    */
-  async allow(user, roleNames, tx = this.#uw.db) {
+  async allow(user, roleNames, options = {}, tx = this.#uw.db) {
     const insertedRoles = await tx.insertInto('userRoles')
       .values(roleNames.map((roleName) => ({
         userID: user.id,
@@ -141,14 +296,23 @@ class Acl {
       userID: user.id,
       roles: insertedRoles.map((row) => row.role),
     });
+
+    if (options.moderator) {
+      await this.#uw.audit.record('roles.grant', {
+        moderatorID: options.moderator.id,
+        userID: user.id,
+        data: { roles: insertedRoles.map((row) => row.role) },
+      });
+    }
   }
 
   /**
    * @param {User} user
    * @param {string[]} roleNames
+   * @param {{ moderator?: User }} [options]
    * @returns {Promise<void>}
    */
-  async disallow(user, roleNames, tx = this.#uw.db) {
+  async disallow(user, roleNames, options = {}, tx = this.#uw.db) {
     const deletedRoles = await tx.deleteFrom('userRoles')
       .where('userID', '=', user.id)
       .where('role', 'in', roleNames)
@@ -160,6 +324,74 @@ class Acl {
         userID: user.id,
         roles: deletedRoles.map((row) => row.role),
       });
+
+      if (options.moderator) {
+        await this.#uw.audit.record('roles.revoke', {
+          moderatorID: options.moderator.id,
+          userID: user.id,
+          data: { roles: deletedRoles.map((row) => row.role) },
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the rank of a user's highest ranked role. Users without roles have rank 0.
+   *
+   * @param {User} user
+   * @returns {Promise<number>}
+   */
+  async getUserRank(user, tx = this.#uw.db) {
+    const { rank } = await tx.selectFrom('userRoles')
+      .innerJoin('roles', 'roles.id', 'userRoles.role')
+      .where('userRoles.userID', '=', user.id)
+      .select((eb) => eb.fn.max('roles.rank').as('rank'))
+      .executeTakeFirstOrThrow();
+
+    return rank ?? 0;
+  }
+
+  /**
+   * Check that a moderator may take action against a user: they may not if the
+   * user outranks them.
+   *
+   * @param {User} moderator
+   * @param {User} user
+   * @returns {Promise<void>}
+   */
+  async assertCanModerate(moderator, user, tx = this.#uw.db) {
+    if (moderator.id === user.id) {
+      return;
+    }
+
+    const [moderatorRank, userRank] = await Promise.all([
+      this.getUserRank(moderator, tx),
+      this.getUserRank(user, tx),
+    ]);
+    if (userRank > moderatorRank) {
+      throw new InsufficientRankError();
+    }
+  }
+
+  /**
+   * Check that a user may create or change a role: they may not change roles at or
+   * above their own rank, or give a role a rank at or above their own.
+   *
+   * @param {User} user
+   * @param {string} name - Role name.
+   * @param {number} [rank] - The new rank of the role, if it is being changed.
+   * @returns {Promise<void>}
+   */
+  async assertCanManageRole(user, name, rank, tx = this.#uw.db) {
+    const [userRank, role] = await Promise.all([
+      this.getUserRank(user, tx),
+      tx.selectFrom('roles')
+        .select('rank')
+        .where('id', '=', name)
+        .executeTakeFirst(),
+    ]);
+    if ((role != null && role.rank >= userRank) || (rank != null && rank >= userRank)) {
+      throw new InsufficientRankError({ role: true });
     }
   }
 
@@ -0,0 +1,171 @@
+import { randomUUID } from 'node:crypto';
+import lodash from 'lodash';
+import Page from '../Page.js';
+import routes from '../routes/audit.js';
+import { fromJson, json, jsonb } from '../utils/sqlite.js';
+
+const { clamp } = lodash;
+
+/**
+ * @typedef {import('../schema.js').UserID} UserID
+ * @typedef {import('../schema.js').AuditAction} AuditAction
+ * @typedef {import('../schema.js').AuditLogEntryID} AuditLogEntryID
+ * @typedef {import('type-fest').JsonObject} JsonObject
+ *
+ * @typedef {object} AuditLogFilter
+ * @prop {AuditAction} [action]
+ * @prop {UserID} [moderatorID] - Only include actions taken by this user.
+ * @prop {UserID} [userID] - Only include actions taken against this user.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+class AuditLog {
+  #uw;
+
+  #logger;
+
+  /**
+   * @param {import('../Uwave.js').Boot} uw
+   */
+  constructor(uw) {
+    this.#uw = uw;
+    this.#logger = uw.logger.child({ ns: 'uwave:audit' });
+  }
+
+  /**
+   * Record a moderation or admin action. If the entry can not be written, the
+   * error is logged, but not thrown: the action itself has already happened.
+   *
+   * @param {AuditAction} action
+   * @param {{ moderatorID: UserID, userID?: UserID | null, data?: JsonObject | null }} entry
+   */
+  async record(action, { moderatorID, userID = null, data = null }) {
+    const { db } = this.#uw;
+
+    try {
+      await db.insertInto('auditLog')
+        .values({
+          id: /** @type {AuditLogEntryID} */ (randomUUID()),
+          action,
+          moderatorID,
+          userID,
+          data: data != null ? jsonb(data) : null,
+          // Use millisecond precision, so actions in quick succession stay in order.
+          createdAt: new Date(),
+        })
+        .execute();
+    } catch (err) {
+      this.#logger.error({
+        err,
+        action,
+        moderatorID,
+        userID,
+      }, 'could not write audit log entry');
+    }
+  }
+
+  /**
+   * List audit log entries, newest first.
+   *
+   * @param {AuditLogFilter} [filter]
+   * @param {{ offset?: number, limit?: number }} [pagination]
+   */
+  async getEntries(filter = {}, pagination = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    let query = db.selectFrom('auditLog')
+      .innerJoin('users as mod', 'mod.id', 'auditLog.moderatorID')
+      .leftJoin('users', 'users.id', 'auditLog.userID');
+    if (filter.action != null) {
+      query = query.where('auditLog.action', '=', filter.action);
+    }
+    if (filter.moderatorID != null) {
+      query = query.where('auditLog.moderatorID', '=', filter.moderatorID);
+    }
+    if (filter.userID != null) {
+      query = query.where('auditLog.userID', '=', filter.userID);
+    }
+
+    const { total } = await db.selectFrom('auditLog')
+      .select((eb) => eb.fn.countAll().as('total'))
+      .executeTakeFirstOrThrow();
+    const { filtered } = await query
+      .select((eb) => eb.fn.countAll().as('filtered'))
+      .executeTakeFirstOrThrow();
+
+    const rows = await query
+      .select([
+        'auditLog.id',
+        'auditLog.action',
+        (eb) => json(eb.fn.coalesce(eb.ref('auditLog.data'), jsonb(null))).as('data'),
+        'auditLog.createdAt',
+        'mod.id as mod.id',
+        'mod.username as mod.username',
+        'mod.slug as mod.slug',
+        'mod.avatar as mod.avatar',
+        'mod.createdAt as mod.createdAt',
+        'users.id as users.id',
+        'users.username as users.username',
+        'users.slug as users.slug',
+        'users.avatar as users.avatar',
+        'users.createdAt as users.createdAt',
+      ])
+      .orderBy('auditLog.createdAt', 'desc')
+      .orderBy('auditLog.id', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    const entries = rows.map((row) => ({
+      id: row.id,
+      action: row.action,
+      moderator: {
+        id: row['mod.id'],
+        username: row['mod.username'],
+        slug: row['mod.slug'],
+        avatar: row['mod.avatar'],
+        createdAt: row['mod.createdAt'],
+      },
+      user: row['users.id'] != null ? {
+        id: row['users.id'],
+        username: row['users.username'],
+        slug: row['users.slug'],
+        avatar: row['users.avatar'],
+        createdAt: row['users.createdAt'],
+      } : null,
+      data: fromJson(row.data),
+      createdAt: row.createdAt,
+    }));
+
+    return new Page(entries, {
+      pageSize: limit,
+      filtered: Number(filtered),
+      total: Number(total),
+      current: { offset, limit },
+      next: offset + limit < Number(filtered) ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+}
+
+/**
+ * @param {import('../Uwave.js').Boot} uw
+ */
+async function auditPlugin(uw) {
+  uw.audit = new AuditLog(uw);
+  uw.httpApi.use('/audit', routes());
+}
+
+export default auditPlugin;
+export { AuditLog };
@@ -0,0 +1,173 @@
+import fs from 'node:fs';
+import lodash from 'lodash';
+import { Permissions } from './acl.js';
+
+const { escapeRegExp } = lodash;
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/automod.json', import.meta.url), 'utf8'),
+);
+
+/**
+ * @typedef {import('../schema.js').User} User
+ * @typedef {'blockedWords' | 'blockedPatterns' | 'links' | 'caps' | 'repeatedCharacters'}
+ *     AutomodRule
+ * @typedef {'drop' | 'replace' | 'mute'} AutomodAction
+ * @typedef {object} AutomodSettings
+ * @prop {string[]} blockedWords
+ * @prop {string[]} blockedPatterns
+ * @prop {boolean} blockLinks
+ * @prop {{ enabled: boolean, minLength: number, ratio: number }} caps
+ * @prop {{ enabled: boolean, max: number }} repeatedCharacters
+ * @prop {AutomodAction} action
+ * @prop {number} muteDuration - In seconds.
+ */
+
+/**
+ * Things that look like links: anything with a protocol or starting with "www.",
+ * and bare domain names with common top-level domains.
+ */
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)\S+|\b[\w-]+(?:\.[\w-]+)*\.(?:com|net|org|io|gg|tv|me|co|be|ly|xyz|info|link)\b\S*/giu;
+
+/**
+ * @param {string} text
+ * @param {RegExp} regex
+ */
+function mask(text, regex) {
+  return text.replace(regex, (match) => '*'.repeat([...match].length));
+}
+
+class Automod {
+  #uw;
+
+  #logger;
+
+  /**
+   * @param {import('../Uwave.js').Boot} uw
+   */
+  constructor(uw) {
+    this.#uw = uw;
+    this.#logger = uw.logger.child({ ns: 'uwave:automod' });
+
+    uw.config.register(schema['uw:key'], schema);
+  }
+
+  /**
+   * @returns {Promise<AutomodSettings>}
+   */
+  async #getSettings() {
+    const { config } = this.#uw;
+
+    const settings = /** @type {AutomodSettings} */ (await config.get(schema['uw:key']));
+    return settings;
+  }
+
+  /**
+   * Build the regular expressions for blocked words, patterns and links.
+   *
+   * @param {AutomodSettings} settings
+   * @param {User} user
+   * @returns {Promise<[AutomodRule, RegExp][]>}
+   */
+  async #getBlocklists(settings, user) {
+    const { acl } = this.#uw;
+
+    /** @type {[AutomodRule, RegExp][]} */
+    const blocklists = [];
+    if (settings.blockedWords.length > 0) {
+      const words = settings.blockedWords.map(escapeRegExp).join('|');
+      // `\b` does not work for words that start or end with non-word characters,
+      // so check the surrounding characters instead.
+      blocklists.push(['blockedWords', new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words})(?![\\p{L}\\p{N}_])`, 'giu')]);
+    }
+    for (const pattern of settings.blockedPatterns) {
+      try {
+        blocklists.push(['blockedPatterns', new RegExp(pattern, 'giu')]);
+      } catch (err) {
+        this.#logger.warn({ err, pattern }, 'ignoring invalid blocked pattern');
+      }
+    }
+    if (settings.blockLinks && !(await acl.isAllowed(user, Permissions.ChatLinks))) {
+      blocklists.push(['links', LINK_REGEX]);
+    }
+    return blocklists;
+  }
+
+  /**
+   * Check a chat message against the automod rules, and take the configured
+   * action if it breaks any.
+   *
+   * @param {User} user
+   * @param {string} message
+   * @returns {Promise<string | null>} The message to send, which may have been
+   *     changed, or `null` if the message should not be sent.
+   */
+  async filter(user, message) {
+    const { chat } = this.#uw;
+
+    const settings = await this.#getSettings();
+
+    /** @type {AutomodRule[]} */
+    const rules = [];
+    let filtered = message;
+
+    for (const [rule, regex] of await this.#getBlocklists(settings, user)) {
+      const masked = mask(filtered, regex);
+      if (masked !== filtered) {
+        rules.push(rule);
+        filtered = masked;
+      }
+    }
+
+    if (settings.caps.enabled) {
+      const letters = filtered.match(/\p{L}/gu)?.length ?? 0;
+      const capitals = filtered.match(/\p{Lu}/gu)?.length ?? 0;
+      if (letters >= settings.caps.minLength && capitals / letters >= settings.caps.ratio) {
+        rules.push('caps');
+        filtered = filtered.toLowerCase();
+      }
+    }
+
+    if (settings.repeatedCharacters.enabled) {
+      const { max } = settings.repeatedCharacters;
+      const repeats = new RegExp(`(.)\\1{${max},}`, 'gu');
+      const shortened = filtered.replace(repeats, (_, char) => char.repeat(max));
+      if (shortened !== filtered) {
+        rules.push('repeatedCharacters');
+        filtered = shortened;
+      }
+    }
+
+    if (rules.length === 0) {
+      return message;
+    }
+
+    const { action } = settings;
+    this.#logger.info({ userID: user.id, rules, action }, 'automod action');
+    this.#uw.publish('chat:automod', {
+      userID: user.id,
+      action,
+      rules,
+      message,
+    });
+
+    if (action === 'mute') {
+      await chat.mute(user, settings.muteDuration, {
+        moderator: null,
+        reason: `automod: ${rules.join(', ')}`,
+      });
+    }
+
+    return action === 'replace' ? filtered : null;
+  }
+}
+
+/**
+ * @param {import('../Uwave.js').Boot} uw
+ */
+async function automodPlugin(uw) {
+  uw.automod = new Automod(uw);
+}
+
+export default automodPlugin;
+export { Automod };
@@ -131,7 +131,9 @@ class Bans {
   async ban(user, {
     duration, moderator, permanent = false, reason = '',
   }) {
-    const { db } = this.#uw;
+    const { acl, db } = this.#uw;
+
+    await acl.assertCanModerate(moderator, user);
 
     if (duration <= 0 && !permanent) {
       throw new Error('Ban duration should be at least 0ms.');
@@ -159,6 +161,17 @@ class Bans {
       permanent,
     });
 
+    await this.#uw.audit.record('users.ban', {
+      moderatorID: moderator.id,
+      userID: user.id,
+      data: {
+        duration,
+        permanent,
+        expiresAt: ban.expiresAt ? ban.expiresAt.toISOString() : null,
+        reason: ban.reason,
+      },
+    });
+
     return ban;
   }
 
@@ -186,6 +199,11 @@ class Bans {
       userID,
       moderatorID: moderator.id,
     });
+
+    await this.#uw.audit.record('users.unban', {
+      moderatorID: moderator.id,
+      userID,
+    });
   }
 }
 
@@ -1,8 +1,21 @@
+import fs from 'node:fs';
 import RedLock from 'redlock';
-import { EmptyPlaylistError, PlaylistItemNotFoundError } from '../errors/index.js';
+import ms from 'ms';
+import {
+  EmptyPlaylistError,
+  MediaTooLongError,
+  PlaylistItemNotFoundError,
+  RecentlyPlayedError,
+} from '../errors/index.js';
 import routes from '../routes/booth.js';
+import { Permissions } from './acl.js';
 import { randomUUID } from 'node:crypto';
 import { fromJson, jsonb, jsonGroupArray } from '../utils/sqlite.js';
+import { REDIS_ACTIVE_SESSIONS } from '../SocketServer.js';
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/booth.json', import.meta.url), 'utf8'),
+);
 
 /**
  * @typedef {import('../schema.js').UserID} UserID
@@ -11,14 +24,53 @@ import { fromJson, jsonb, jsonGroupArray } from '../utils/sqlite.js';
  * @typedef {import('../schema.js').User} User
  * @typedef {import('../schema.js').Playlist} Playlist
  * @typedef {import('../schema.js').PlaylistItem} PlaylistItem
+ * @typedef {import('../schema.js').PlaylistItemID} PlaylistItemID
+ * @typedef {import('../schema.js').MediaID} MediaID
  * @typedef {import('../schema.js').HistoryEntry} HistoryEntry
  * @typedef {Omit<import('../schema.js').Media, 'createdAt' | 'updatedAt'>} Media
+ * @typedef {object} VoteSkipSettings
+ * @prop {boolean} enabled
+ * @prop {number|null} downvoteRatio
+ * @prop {number|null} downvoteCount
+ * @typedef {object} MaxDurationSettings
+ * @prop {number|null} duration - In seconds.
+ * @prop {'reject' | 'skip' | 'truncate'} policy
+ * @typedef {object} NoRepeatSettings
+ * @prop {number|null} hours
+ * @prop {number|null} plays
+ * @prop {'skip' | 'moveToBottom'} action
+ * @typedef {object} VoteHistorySettings
+ * @prop {boolean} public
+ * @typedef {object} BoothSettings
+ * @prop {VoteSkipSettings} voteSkip
+ * @prop {MaxDurationSettings} maxDuration
+ * @prop {NoRepeatSettings} noRepeat
+ * @prop {VoteHistorySettings} voteHistory
  */
 
 const REDIS_ADVANCING = 'booth:advancing';
 const REDIS_HISTORY_ID = 'booth:historyID';
 const REDIS_CURRENT_DJ_ID = 'booth:currentDJ';
 const REDIS_REMOVE_AFTER_CURRENT_PLAY = 'booth:removeAfterCurrentPlay';
+const REDIS_VOTE_SKIPPED = 'booth:voteSkipped';
+
+/**
+ * The `reason` given in `booth:skip` messages when a play was skipped
+ * because the audience downvoted it.
+ */
+const VOTE_SKIP_REASON = 'downvotes';
+
+/**
+ * The `reason` given in `booth:skip` messages when a play was skipped
+ * because it reached the maximum duration.
+ */
+const MAX_DURATION_SKIP_REASON = 'max-duration';
+
+/**
+ * How many items at the top of a DJ's playlist to consider when passing over
+ * recently played media.
+ */
+const MAX_REPEAT_CHECKS = 50;
 
 const REMOVE_AFTER_CURRENT_PLAY_SCRIPT = {
   keys: [REDIS_CURRENT_DJ_ID, REDIS_REMOVE_AFTER_CURRENT_PLAY],
@@ -63,6 +115,7 @@ class Booth {
     this.#locker = new RedLock([this.#uw.redis]);
     this.#logger = uw.logger.child({ ns: 'uwave:booth' });
 
+    uw.config.register(schema['uw:key'], schema);
     uw.redis.defineCommand('uw:removeAfterCurrentPlay', {
       numberOfKeys: REMOVE_AFTER_CURRENT_PLAY_SCRIPT.keys.length,
       lua: REMOVE_AFTER_CURRENT_PLAY_SCRIPT.lua,
@@ -75,15 +128,16 @@ class Booth {
     if (current && this.#timeout === null) {
       // Restart the advance timer after a server restart, if a track was
       // playing before the server restarted.
-      const duration = (current.historyEntry.end - current.historyEntry.start) * 1000;
-      const endTime = current.historyEntry.createdAt.getTime() + duration;
+      const { historyEntry } = current;
+      const duration = await this.#getPlayDuration(historyEntry);
+      const endTime = historyEntry.createdAt.getTime() + duration * 1000;
       if (endTime > Date.now()) {
         this.#timeout = setTimeout(
-          () => this.#advanceAutomatically(),
+          () => this.#finishPlay(historyEntry, duration),
           endTime - Date.now(),
         );
       } else {
-        this.#advanceAutomatically();
+        this.#finishPlay(historyEntry, duration);
       }
     }
 
@@ -93,6 +147,77 @@ class Booth {
     });
   }
 
+  /**
+   * @returns {Promise<BoothSettings>}
+   */
+  async #getSettings() {
+    const { config } = this.#uw;
+
+    const settings = /** @type {BoothSettings} */ (await config.get(schema['uw:key']));
+    return settings;
+  }
+
+  /**
+   * @returns {Promise<MaxDurationSettings>}
+   */
+  async getMaxDuration() {
+    const { maxDuration } = await this.#getSettings();
+    return maxDuration;
+  }
+
+  /**
+   * Whether users can see what other users voted on.
+   */
+  async isVoteHistoryPublic() {
+    const { voteHistory } = await this.#getSettings();
+    return voteHistory.public;
+  }
+
+  /**
+   * Whether a user may see who voted on past plays.
+   *
+   * @param {User | undefined} user
+   */
+  async canSeeVoters(user) {
+    if (await this.isVoteHistoryPublic()) {
+      return true;
+    }
+    return user != null && this.#uw.acl.isAllowed(user, Permissions.VoteHistoryRead);
+  }
+
+  /**
+   * How long a play will actually last, taking the `maxDuration` setting into account.
+   * Truncated plays are already shortened when they start, so only the "skip" policy
+   * matters here.
+   *
+   * @param {Pick<HistoryEntry, 'start' | 'end'>} entry
+   * @returns {Promise<number>} The duration in seconds.
+   */
+  async #getPlayDuration(entry) {
+    const { maxDuration } = await this.#getSettings();
+    const duration = entry.end - entry.start;
+    if (maxDuration.policy === 'skip' && maxDuration.duration != null) {
+      return Math.min(duration, maxDuration.duration);
+    }
+    return duration;
+  }
+
+  /**
+   * @param {Pick<HistoryEntry, 'userID' | 'start' | 'end'>} entry
+   * @param {number} duration - How long the play lasted, in seconds.
+   */
+  async #finishPlay(entry, duration) {
+    if (duration < entry.end - entry.start) {
+      this.#logger.info({ userID: entry.userID, duration }, 'skipping, reached maximum duration');
+      this.#uw.publish('booth:skip', {
+        moderatorID: null,
+        userID: entry.userID,
+        reason: MAX_DURATION_SKIP_REASON,
+      });
+    }
+    await this.#advanceAutomatically();
+  }
+
   async #advanceAutomatically() {
     try {
       await this.advance();
@@ -201,6 +326,41 @@ class Booth {
     return this.#uw.users.getUser(userID, tx);
   }
 
+  /**
+   * Find media that may not be played right now according to the `noRepeat` setting.
+   *
+   * @param {NoRepeatSettings} noRepeat
+   * @returns {Promise<Set<MediaID>>}
+   */
+  async #getRecentlyPlayedMediaIDs(noRepeat) {
+    const { db } = this.#uw;
+
+    /** @type {Set<MediaID>} */
+    const mediaIDs = new Set();
+    if (noRepeat.hours != null) {
+      const since = new Date(Date.now() - noRepeat.hours * 60 * 60 * 1000);
+      const rows = await db.selectFrom('historyEntries')
+        .where('createdAt', '>=', since)
+        .select('mediaID')
+        .distinct()
+        .execute();
+      for (const row of rows) {
+        mediaIDs.add(row.mediaID);
+      }
+    }
+    if (noRepeat.plays != null) {
+      const rows = await db.selectFrom('historyEntries')
+        .select('mediaID')
+        .orderBy('createdAt', 'desc')
+        .limit(noRepeat.plays)
+        .execute();
+      for (const row of rows) {
+        mediaIDs.add(row.mediaID);
+      }
+    }
+    return mediaIDs;
+  }
+
   /**
    * @param {{ remove?: boolean }} options
    */
@@ -216,24 +376,60 @@ class Booth {
       throw new EmptyPlaylistError();
     }
 
-    const { playlistItem, media } = await playlists.getPlaylistItemAt(playlist, 0);
+    const { noRepeat, maxDuration } = await this.#getSettings();
+    const recentMediaIDs = await this.#getRecentlyPlayedMediaIDs(noRepeat);
+    /** @type {PlaylistItemID[]} */
+    const repeats = [];
+    let found = await playlists.getPlaylistItemAt(playlist, 0);
+    while (recentMediaIDs.has(found.media.id)) {
+      repeats.push(found.playlistItem.id);
+      if (repeats.length >= Math.min(playlist.size, MAX_REPEAT_CHECKS)) {
+        // Nothing is moved here: the DJ is removed from the waitlist instead.
+        this.#uw.publish('booth:repeatSkipped', {
+          userID: user.id,
+          playlistID: playlist.id,
+          action: 'removed',
+          itemIDs: repeats,
+          turnSkipped: true,
+        });
+        throw new RecentlyPlayedError();
+      }
+      found = await playlists.getPlaylistItemAt(playlist, repeats.length);
+    }
+
+    const { playlistItem, media } = found;
     if (!playlistItem) {
       throw new PlaylistItemNotFoundError();
     }
 
+    let { start, end } = playlistItem;
+    if (maxDuration.duration != null && end - start > maxDuration.duration) {
+      if (maxDuration.policy === 'reject') {
+        throw new MediaTooLongError({
+          maxDuration: ms(maxDuration.duration * 1000, { long: true }),
+        });
+      }
+      if (maxDuration.policy === 'truncate') {
+        end = start + maxDuration.duration;
+      }
+    }
+
     return {
       user,
       playlist,
       playlistItem,
       media,
+      skippedRepeats: repeats.length > 0
+        ? { action: noRepeat.action, itemIDs: repeats }
+        : null,
       historyEntry: {
         id: /** @type {HistoryEntryID} */ (randomUUID()),
         userID: user.id,
         mediaID: media.id,
         artist: playlistItem.artist,
         title: playlistItem.title,
-        start: playlistItem.start,
-        end: playlistItem.end,
+        start,
+        end,
         /** @type {null | JsonObject} */
         sourceData: null,
         createdAt: new Date(),
@@ -241,6 +437,32 @@ class Booth {
     };
   }
 
+  /**
+   * Move the item that is about to play to the bottom of the DJ's playlist, when
+   * it was not the first item because recently played media was passed over.
+   *
+   * @param {{ user: User, playlist: Playlist, playlistItem: { id: PlaylistItemID } }} next
+   * @param {{ action: NoRepeatSettings['action'], itemIDs: PlaylistItemID[] }} skippedRepeats
+   * @param {import('kysely').Kysely<import('../schema.js').Database>} tx
+   */
+  async #cyclePastRepeats(next, skippedRepeats, tx) {
+    const { playlists } = this.#uw;
+    const { action, itemIDs } = skippedRepeats;
+
+    const moveIDs = action === 'moveToBottom'
+      ? [...itemIDs, next.playlistItem.id]
+      : [next.playlistItem.id];
+    await playlists.movePlaylistItems(next.playlist, moveIDs, { at: 'end' }, tx);
+
+    this.#uw.publish('booth:repeatSkipped', {
+      userID: next.user.id,
+      playlistID: next.playlist.id,
+      action,
+      itemIDs,
+      turnSkipped: false,
+    });
+  }
+
   /**
    * @param {UserID|null} previous
    * @param {{ remove?: boolean }} options
@@ -284,13 +506,14 @@ class Booth {
   }
 
   /**
-   * @param {Pick<HistoryEntry, 'start' | 'end'>} entry
+   * @param {Pick<HistoryEntry, 'userID' | 'start' | 'end'>} entry
    */
-  #play(entry) {
+  async #play(entry) {
+    const duration = await this.#getPlayDuration(entry);
     this.#maybeStop();
     this.#timeout = setTimeout(
-      () => this.#advanceAutomatically(),
-      (entry.end - entry.start) * 1000,
+      () => this.#finishPlay(entry, duration),
+      duration * 1000,
     );
   }
 
@@ -379,6 +602,7 @@ class Booth {
    * @typedef {object} AdvanceOptions
    * @prop {boolean} [remove]
    * @prop {boolean} [publish]
+   * @prop {boolean} [skipPlayLimits]
    * @prop {import('redlock').RedlockAbortSignal} [signal]
    * @param {AdvanceOptions} [opts]
    * @returns {Promise<{
@@ -393,22 +617,40 @@ class Booth {
 
     const publish = opts.publish ?? true;
     const removeAfterCurrent = (await this.#uw.redis.del(REDIS_REMOVE_AFTER_CURRENT_PLAY)) === 1;
-    const remove = opts.remove || removeAfterCurrent || (
+    let remove = opts.remove || removeAfterCurrent || (
       !await this.#uw.waitlist.isCycleEnabled()
     );
 
     const previous = await this.getCurrentEntry(tx);
+    // When retrying after an empty playlist, the previous DJ was already handled.
+    if (previous != null && !opts.skipPlayLimits) {
+      const { userID } = previous.historyEntry;
+      const playLimit = await this.#uw.waitlist.checkPlayLimits(userID);
+      if (playLimit != null) {
+        this.#logger.info({ userID, ...playLimit }, 'reached play limit');
+        remove = true;
+        this.#uw.publish('waitlist:playLimit', {
+          userID,
+          reason: playLimit.reason,
+          until: playLimit.until?.toISOString() ?? null,
+        });
+      }
+    }
     let next;
     try {
       next = await this.#getNextEntry({ remove });
     } catch (err) {
-      // If the next user's playlist was empty, remove them from the waitlist
-      // and try advancing again.
-      if (err instanceof EmptyPlaylistError) {
-        this.#logger.info('user has empty playlist, skipping on to the next');
+      // If the next user's playlist was empty, or they have nothing that may be
+      // played right now, remove them from the waitlist and try advancing again.
+      if (
+        err instanceof EmptyPlaylistError
+        || err instanceof MediaTooLongError
+        || err instanceof RecentlyPlayedError
+      ) {
+        this.#logger.info({ err }, 'user cannot play, skipping on to the next');
         const previousDJ = previous != null ? previous.historyEntry.userID : null;
         await this.#cycleWaitlist(previousDJ, { remove });
-        return this.#advanceLocked({ publish, remove: true }, tx);
+        return this.#advanceLocked({ publish, remove: true, skipPlayLimits: true }, tx);
       }
       throw err;
     }
@@ -473,8 +715,12 @@ class Booth {
 
     if (next) {
       await this.#update(next);
-      await playlists.cyclePlaylist(next.playlist, tx);
-      this.#play(next.historyEntry);
+      if (next.skippedRepeats != null) {
+        await this.#cyclePastRepeats(next, next.skippedRepeats, tx);
+      } else {
+        await playlists.cyclePlaylist(next.playlist, tx);
+      }
+      await this.#play(next.historyEntry);
     } else {
       await this.clear();
     }
@@ -499,6 +745,64 @@ class Booth {
     return result;
   }
 
+  /**
+   * Skip the current play if it has received enough downvotes, according to
+   * the `voteSkip` settings.
+   *
+   * @param {HistoryEntryID} historyID - The play that was voted on.
+   * @returns {Promise<boolean>} Whether the play was skipped.
+   */
+  async maybeSkipByVotes(historyID) {
+    const { db, redis } = this.#uw;
+
+    const { voteSkip } = await this.#getSettings();
+    if (!voteSkip.enabled) {
+      return false;
+    }
+
+    const [currentHistoryID, currentDJ] = /** @type {[HistoryEntryID|null, UserID|null]} */ (
+      await redis.mget(REDIS_HISTORY_ID, REDIS_CURRENT_DJ_ID)
+    );
+    if (currentHistoryID !== historyID || currentDJ == null) {
+      return false;
+    }
+
+    const { count } = await db.selectFrom('feedback')
+      .where('historyEntryID', '=', historyID)
+      .where('vote', '=', -1)
+      .select((eb) => eb.fn.countAll().as('count'))
+      .executeTakeFirstOrThrow();
+    const downvotes = Number(count);
+    const onlineUserIDs = await redis.lrange(REDIS_ACTIVE_SESSIONS, 0, -1);
+    const audience = onlineUserIDs.filter((userID) => userID !== currentDJ).length;
+
+    const overCount = voteSkip.downvoteCount != null
+      && downvotes >= voteSkip.downvoteCount;
+    const overRatio = voteSkip.downvoteRatio != null && audience > 0
+      && downvotes / audience >= voteSkip.downvoteRatio;
+    if (!overCount && !overRatio) {
+      return false;
+    }
+
+    // Several downvotes can come in at the same time. Only the first one to
+    // cross the threshold may skip, else we would skip the next play too.
+    const claimed = await redis.set(`${REDIS_VOTE_SKIPPED}:${historyID}`, '1', 'EX', 24 * 60 * 60, 'NX');
+    if (claimed !== 'OK') {
+      return false;
+    }
+
+    this.#logger.info({ historyID, downvotes, audience }, 'skipping by downvotes');
+
+    this.#uw.publish('booth:skip', {
+      moderatorID: null,
+      userID: currentDJ,
+      reason: VOTE_SKIP_REASON,
+    });
+    await this.advance();
+
+    return true;
+  }
+
   /**
    * @param {User} user
    * @param {boolean} remove
@@ -542,4 +846,4 @@ async function boothPlugin(uw) {
 }
 
 export default boothPlugin;
-export { Booth };
+export { Booth, VOTE_SKIP_REASON, MAX_DURATION_SKIP_REASON };
@@ -1,19 +1,110 @@
+import fs from 'node:fs';
 import { randomUUID } from 'node:crypto';
+import lodash from 'lodash';
+import ms from 'ms';
+import {
+  ChatEditExpiredError,
+  ChatMessageNotFoundError,
+  ChatRateLimitError,
+  InvalidReactionError,
+  MuteNotFoundError,
+  MutedError,
+  PermissionError,
+} from '../errors/index.js';
+import Page from '../Page.js';
 import routes from '../routes/chat.js';
-import { now } from '../utils/sqlite.js';
+import mutesRoutes from '../routes/mutes.js';
+import { Permissions } from './acl.js';
+import { REDIS_ACTIVE_SESSIONS } from '../SocketServer.js';
+import { checkRateLimits, recordRateLimits } from '../utils/consumeRateLimits.js';
+import {
+  fromJson,
+  json,
+  jsonb,
+  jsonGroupArray,
+  now,
+} from '../utils/sqlite.js';
+
+const { clamp } = lodash;
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/chat.json', import.meta.url), 'utf8'),
+);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Usernames can contain anything but whitespace, so a mention runs until the next
+ * whitespace character.
+ */
+const MENTION_REGEX = /(?<![\p{L}\p{N}_])@(\S+)/gu;
+
+/**
+ * Mentions that notify a group of users instead of a single user. Using them
+ * requires the `chat.mention.<group>` permission.
+ */
+const GROUP_MENTIONS = ['staff', 'djs', 'everyone'];
+
+/**
+ * Matches a single emoji: keycaps, flags, and emoji with skin tone modifiers or
+ * joined by zero-width joiners.
+ */
+const EMOJI_REGEX = /^(?:[#*0-9]\u{FE0F}?\u{20E3}|(?:\p{Extended_Pictographic}|\p{Regional_Indicator})(?:[\p{Emoji_Modifier}\u{FE0F}\u{20E3}\u{E0020}-\u{E007F}]|\u{200D}\p{Extended_Pictographic}|\p{Regional_Indicator})*)$/u;
 
 /**
  * @typedef {import('../schema.js').UserID} UserID
  * @typedef {import('../schema.js').User} User
  * @typedef {object} ChatOptions
  * @prop {number} maxLength
+ * @prop {number} backlogSize - Amount of recent messages to send to users when they join.
+ * @typedef {object} ChatSettings
+ * @prop {number|null} slowMode - Seconds between messages.
+ * @prop {{ messages: number|null, seconds: number }} burst
+ * @prop {number} editWindow - Seconds after sending that messages can be edited.
+ * @typedef {{ reaction: string, count: number, userIDs: UserID[] }} ReactionCount
  */
 
 /** @type {ChatOptions} */
 const defaultOptions = {
   maxLength: 300,
+  backlogSize: 50,
 };
 
+/**
+ * @param {{
+ *   id: string,
+ *   message: string,
+ *   mentions: import('../utils/sqlite.js').SerializedJSON<UserID[]>,
+ *   createdAt: Date,
+ *   editedAt: Date | null,
+ *   'user.id': UserID,
+ *   'user.username': string,
+ *   'user.slug': string,
+ *   'user.avatar': string | null,
+ *   'user.createdAt': Date,
+ * }} row
+ * @param {ReactionCount[]} [reactions]
+ */
+function chatMessageFromRow(row, reactions = []) {
+  return {
+    _id: row.id,
+    userID: row['user.id'],
+    message: row.message,
+    mentions: fromJson(row.mentions),
+    timestamp: row.createdAt.getTime(),
+    editedAt: row.editedAt?.getTime() ?? null,
+    reactions,
+    user: {
+      _id: row['user.id'],
+      username: row['user.username'],
+      slug: row['user.slug'],
+      avatar: row['user.avatar'],
+      createdAt: row['user.createdAt'],
+    },
+  };
+}
+
 class Chat {
   #uw;
 
@@ -31,30 +122,138 @@ class Chat {
       ...defaultOptions,
       ...options,
     };
+
+    uw.config.register(schema['uw:key'], schema);
+  }
+
+  /**
+   * @returns {Promise<ChatSettings>}
+   */
+  async #getSettings() {
+    const { config } = this.#uw;
+
+    const settings = /** @type {ChatSettings} */ (await config.get(schema['uw:key']));
+    return settings;
+  }
+
+  /**
+   * Get the slow mode and burst limits that apply to a user.
+   *
+   * @param {User} user
+   * @returns {Promise<import('../utils/consumeRateLimits.js').RateLimit[]>}
+   */
+  async #getRateLimits(user) {
+    const { acl } = this.#uw;
+
+    const { slowMode, burst } = await this.#getSettings();
+    if (slowMode == null && burst.messages == null) {
+      return [];
+    }
+    if (await acl.isAllowed(user, Permissions.ChatSlowModeExempt)) {
+      return [];
+    }
+
+    /** @type {import('../utils/consumeRateLimits.js').RateLimit[]} */
+    const limits = [];
+    if (slowMode != null) {
+      limits.push({ key: `chat:slowMode:${user.id}`, max: 1, duration: slowMode * 1000 });
+    }
+    if (burst.messages != null) {
+      limits.push({
+        key: `chat:burst:${user.id}`,
+        max: burst.messages,
+        duration: burst.seconds * 1000,
+      });
+    }
+    return limits;
   }
 
   /**
    * @param {User} user
    * @param {number} duration - Duration in seconds
-   * @param {{ moderator: User }} options
+   * @param {{ moderator: User | null, reason?: string }} options - The moderator is
+   *     `null` for automated mutes, which are not subject to rank checks or the audit log.
    */
   async mute(user, duration, options) {
-    const { db } = this.#uw;
+    const { acl, db } = this.#uw;
+    const { moderator, reason = '' } = options;
+
+    if (moderator != null) {
+      await acl.assertCanModerate(moderator, user);
+    }
 
     const expiresAt = new Date(Date.now() + duration * 1000);
-    await db.insertInto('mutes')
+    const mute = await db.insertInto('mutes')
       .values({
         userID: user.id,
-        moderatorID: options.moderator.id,
+        moderatorID: moderator?.id ?? null,
+        reason,
         expiresAt,
       })
-      .execute();
+      .returningAll()
+      .executeTakeFirstOrThrow();
 
     this.#uw.publish('chat:mute', {
-      moderatorID: options.moderator.id,
+      moderatorID: moderator?.id ?? null,
       userID: user.id,
       duration,
+      expiresAt: mute.expiresAt.getTime(),
+      reason,
     });
+
+    if (moderator != null) {
+      await this.#uw.audit.record('chat.mute', {
+        moderatorID: moderator.id,
+        userID: user.id,
+        data: { duration, reason },
+      });
+    }
+
+    return mute;
+  }
+
+  /**
+   * Change when a user's active mute ends.
+   *
+   * @param {User} user
+   * @param {number} duration - Seconds from now until the mute ends.
+   * @param {{ moderator: User }} options
+   * @throws {MuteNotFoundError} If the user is not currently muted.
+   */
+  async updateMute(user, duration, options) {
+    const { acl, db } = this.#uw;
+    const { moderator } = options;
+
+    await acl.assertCanModerate(moderator, user);
+
+    const mute = await db.updateTable('mutes')
+      .where('userID', '=', user.id)
+      .where('expiresAt', '>', now)
+      .set({
+        expiresAt: new Date(Date.now() + duration * 1000),
+        updatedAt: now,
+      })
+      .returningAll()
+      .executeTakeFirst();
+    if (!mute) {
+      throw new MuteNotFoundError();
+    }
+
+    this.#uw.publish('chat:mute', {
+      moderatorID: moderator.id,
+      userID: user.id,
+      duration,
+      expiresAt: mute.expiresAt.getTime(),
+      reason: mute.reason,
+    });
+
+    await this.#uw.audit.record('chat.mute.update', {
+      moderatorID: moderator.id,
+      userID: user.id,
+      data: { duration },
+    });
+
+    return mute;
   }
 
   /**
@@ -74,11 +273,17 @@ class Chat {
       moderatorID: options.moderator.id,
       userID: user.id,
     });
+
+    await this.#uw.audit.record('chat.unmute', {
+      moderatorID: options.moderator.id,
+      userID: user.id,
+    });
   }
 
   /**
+   * Check whether a user is currently muted.
+   *
    * @param {User} user
-   * @private
    */
   async isMuted(user) {
     const { db } = this.#uw;
@@ -93,41 +298,583 @@ class Chat {
   }
 
   /**
+   * List active and past mutes, newest first.
+   *
+   * @param {string} [filter] Optional filter to search for usernames.
+   * @param {{ offset?: number, limit?: number }} [pagination] A pagination object.
+   * @param {{ active?: boolean }} [options] - Only list active (`true`) or expired
+   *     (`false`) mutes. Lists both by default.
+   */
+  async getMutes(filter, pagination = {}, options = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    let query = db.selectFrom('mutes')
+      .innerJoin('users', 'users.id', 'mutes.userID')
+      .leftJoin('users as mod', 'mod.id', 'mutes.moderatorID');
+
+    if (options.active === true) {
+      query = query.where('mutes.expiresAt', '>', now);
+    } else if (options.active === false) {
+      query = query.where('mutes.expiresAt', '<=', now);
+    }
+    if (filter) {
+      query = query.where('users.username', 'like', filter);
+    }
+
+    const { total } = await db.selectFrom('mutes')
+      .select((eb) => eb.fn.countAll().as('total'))
+      .executeTakeFirstOrThrow();
+    const { filtered } = await query
+      .select((eb) => eb.fn.countAll().as('filtered'))
+      .executeTakeFirstOrThrow();
+
+    const rows = await query
+      .select([
+        'users.id as users.id',
+        'users.username as users.username',
+        'users.slug as users.slug',
+        'users.createdAt as users.createdAt',
+        'users.updatedAt as users.updatedAt',
+        'mod.id as mod.id',
+        'mod.username as mod.username',
+        'mod.slug as mod.slug',
+        'mod.createdAt as mod.createdAt',
+        'mod.updatedAt as mod.updatedAt',
+        'mutes.reason',
+        'mutes.expiresAt',
+        'mutes.createdAt',
+      ])
+      .orderBy('mutes.createdAt', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    const currentTime = Date.now();
+    const results = rows.map((row) => ({
+      user: {
+        id: row['users.id'],
+        username: row['users.username'],
+        slug: row['users.slug'],
+        createdAt: row['users.createdAt'],
+        updatedAt: row['users.updatedAt'],
+      },
+      moderator: row['mod.id'] != null ? {
+        id: row['mod.id'],
+        username: row['mod.username'],
+        slug: row['mod.slug'],
+        createdAt: row['mod.createdAt'],
+        updatedAt: row['mod.updatedAt'],
+      } : null,
+      reason: row.reason,
+      active: row.expiresAt.getTime() > currentTime,
+      expiresAt: row.expiresAt,
+      createdAt: row.createdAt,
+    }));
+
+    return new Page(results, {
+      pageSize: limit,
+      filtered: Number(filtered),
+      total: Number(total),
+      current: { offset, limit },
+      next: offset + limit < Number(filtered) ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+
+  /**
+   * Shorten a message to the maximum length of chat messages.
+   *
    * @param {string} message
-   * @private
    */
   truncate(message) {
     return message.slice(0, this.#options.maxLength);
   }
 
   /**
+   * Find the members of a group mention. Only online users are included.
+   *
+   * @param {string} group
+   * @returns {Promise<UserID[]>}
+   */
+  async #getGroupMembers(group) {
+    const {
+      acl,
+      redis,
+      users,
+      waitlist,
+    } = this.#uw;
+
+    const onlineIDs = /** @type {UserID[]} */ (await redis.lrange(REDIS_ACTIVE_SESSIONS, 0, -1));
+    if (group === 'djs') {
+      const [waitlistIDs, currentDJ] = await Promise.all([
+        waitlist.getUserIDs(),
+        /** @type {Promise<UserID|null>} */ (redis.get('booth:currentDJ')),
+      ]);
+      const djIDs = new Set(currentDJ != null ? [currentDJ, ...waitlistIDs] : waitlistIDs);
+      return onlineIDs.filter((userID) => djIDs.has(userID));
+    }
+    if (group === 'staff') {
+      const online = await users.getUsersByIds(onlineIDs);
+      const isStaff = await Promise.all(online.map((user) => (
+        acl.isAllowed(user, Permissions.ChatMute)
+      )));
+      return online.filter((_, index) => isStaff[index]).map((user) => user.id);
+    }
+    return onlineIDs;
+  }
+
+  /**
+   * Find the users mentioned in a chat message, as `@username`, or with a group
+   * mention like `@everyone`.
+   *
+   * @param {User} user The sender.
+   * @param {string} message
+   * @returns {Promise<UserID[]>}
+   */
+  async #resolveMentions(user, message) {
+    const { acl, db, users } = this.#uw;
+
+    /** @type {Set<string>} */
+    const names = new Set();
+    /** @type {Set<string>} */
+    const groups = new Set();
+    for (const [, mention] of message.matchAll(MENTION_REGEX)) {
+      // Mentions are often followed by punctuation, like "@someone, hi!".
+      // Try the name with and without it.
+      const name = mention.toLowerCase();
+      const trimmed = name.replace(/[.,:;!?)'"]+$/, '');
+      for (const candidate of new Set([name, trimmed])) {
+        if (GROUP_MENTIONS.includes(candidate)) {
+          groups.add(candidate);
+        } else if (candidate !== '') {
+          names.add(candidate);
+        }
+      }
+    }
+
+    /** @type {Set<UserID>} */
+    const mentioned = new Set();
+    for (const group of groups) {
+      if (await acl.isAllowed(user, Permissions.ChatMention(group))) {
+        for (const userID of await this.#getGroupMembers(group)) {
+          mentioned.add(userID);
+        }
+      }
+    }
+    if (names.size > 0) {
+      const rows = await db.selectFrom('users')
+        .where((eb) => eb.fn('lower', ['username']), 'in', [...names])
+        .select('id')
+        .execute();
+      for (const { id } of rows) {
+        mentioned.add(id);
+      }
+    }
+
+    mentioned.delete(user.id);
+    if (mentioned.size > 0) {
+      for (const blockerID of await users.getBlockerIDs(user.id)) {
+        mentioned.delete(blockerID);
+      }
+    }
+    return [...mentioned];
+  }
+
+  /**
+   * Send a chat message. Messages from muted users are silently dropped.
+   *
    * @param {User} user
    * @param {string} message
+   * @throws {ChatRateLimitError} If the user is sending messages too quickly.
    */
   async send(user, message) {
+    const { db, redis } = this.#uw;
+
     if (await this.isMuted(user)) {
       return;
     }
 
-    this.#uw.publish('chat:message', {
+    const limits = await this.#getRateLimits(user);
+    const retryAfter = await checkRateLimits(redis, limits);
+    if (retryAfter != null) {
+      throw new ChatRateLimitError({
+        retryAfter: ms(Math.max(retryAfter, 1000), { long: true }),
+      });
+    }
+
+    const filtered = await this.#uw.automod.filter(user, message);
+    if (filtered == null) {
+      return;
+    }
+    // Only messages that are actually sent count towards slow mode and the burst limit.
+    await recordRateLimits(redis, limits);
+
+    const chatMessage = {
       id: randomUUID(),
       userID: user.id,
-      message: this.truncate(message),
-      timestamp: Date.now(),
+      message: this.truncate(filtered),
+      createdAt: new Date(),
+    };
+    const mentions = await this.#resolveMentions(user, chatMessage.message);
+
+    await db.insertInto('chatMessages')
+      .values({ ...chatMessage, mentions: jsonb(mentions), editedAt: null })
+      .execute();
+
+    this.#uw.publish('chat:message', {
+      id: chatMessage.id,
+      userID: chatMessage.userID,
+      message: chatMessage.message,
+      mentions,
+      timestamp: chatMessage.createdAt.getTime(),
     });
   }
 
+  /**
+   * Edit a chat message. Users can only edit their own messages, for a while after
+   * sending them. The previous text is kept as a revision.
+   *
+   * @param {User} user
+   * @param {string} id
+   * @param {string} message
+   * @throws {ChatMessageNotFoundError}
+   * @throws {ChatEditExpiredError} If the message is too old to be edited.
+   */
+  async edit(user, id, message) {
+    const { automod, db } = this.#uw;
+
+    const chatMessage = await db.selectFrom('chatMessages')
+      .where('id', '=', id)
+      .select(['id', 'userID', 'message', 'createdAt', 'editedAt'])
+      .executeTakeFirst();
+    if (!chatMessage) {
+      throw new ChatMessageNotFoundError({ id });
+    }
+    if (chatMessage.userID !== user.id) {
+      throw new PermissionError();
+    }
+    if (await this.isMuted(user)) {
+      throw new MutedError();
+    }
+
+    const { editWindow } = await this.#getSettings();
+    if (chatMessage.createdAt.getTime() + editWindow * 1000 < Date.now()) {
+      throw new ChatEditExpiredError();
+    }
+
+    const filtered = await automod.filter(user, message);
+    if (filtered == null) {
+      return;
+    }
+
+    const text = this.truncate(filtered);
+    const mentions = await this.#resolveMentions(user, text);
+    const editedAt = new Date();
+
+    await db.transaction().execute(async (tx) => {
+      await tx.insertInto('chatMessageRevisions')
+        .values({
+          messageID: chatMessage.id,
+          message: chatMessage.message,
+          createdAt: chatMessage.editedAt ?? chatMessage.createdAt,
+        })
+        .execute();
+      await tx.updateTable('chatMessages')
+        .where('id', '=', chatMessage.id)
+        .set({ message: text, mentions: jsonb(mentions), editedAt })
+        .execute();
+    });
+
+    this.#uw.publish('chat:edit', {
+      id: chatMessage.id,
+      userID: user.id,
+      message: text,
+      mentions,
+      editedAt: editedAt.getTime(),
+    });
+  }
+
+  /**
+   * List the earlier versions of a chat message, oldest first.
+   *
+   * @param {string} id
+   * @throws {ChatMessageNotFoundError}
+   */
+  async getRevisions(id) {
+    const { db } = this.#uw;
+
+    const chatMessage = await db.selectFrom('chatMessages')
+      .where('id', '=', id)
+      .select('id')
+      .executeTakeFirst();
+    if (!chatMessage) {
+      throw new ChatMessageNotFoundError({ id });
+    }
+
+    const revisions = await db.selectFrom('chatMessageRevisions')
+      .where('messageID', '=', id)
+      .select(['message', 'createdAt'])
+      .orderBy('createdAt', 'asc')
+      .execute();
+
+    return revisions.map((revision) => ({
+      message: revision.message,
+      timestamp: revision.createdAt.getTime(),
+    }));
+  }
+
+  /**
+   * Count the reactions to chat messages, in the order they were first used.
+   *
+   * @param {string[]} ids
+   * @returns {Promise<Map<string, ReactionCount[]>>}
+   */
+  async #getReactions(ids) {
+    const { db } = this.#uw;
+
+    /** @type {Map<string, ReactionCount[]>} */
+    const reactions = new Map();
+    if (ids.length === 0) {
+      return reactions;
+    }
+
+    const rows = await db.selectFrom('chatMessageReactions')
+      .where('messageID', 'in', ids)
+      .select((eb) => [
+        'messageID',
+        'reaction',
+        eb.fn.countAll().as('count'),
+        jsonGroupArray(eb.ref('userID')).as('userIDs'),
+        eb.fn.min('createdAt').as('firstReactedAt'),
+      ])
+      .groupBy(['messageID', 'reaction'])
+      .orderBy('firstReactedAt', 'asc')
+      .execute();
+
+    for (const row of rows) {
+      const list = reactions.get(row.messageID) ?? [];
+      list.push({
+        reaction: row.reaction,
+        count: Number(row.count),
+        userIDs: fromJson(row.userIDs),
+      });
+      reactions.set(row.messageID, list);
+    }
+    return reactions;
+  }
+
+  /**
+   * Check that a reaction is a single emoji or the name of a known emote.
+   *
+   * @param {string} reaction
+   * @throws {InvalidReactionError}
+   */
+  async #assertValidReaction(reaction) {
+    const { emotes } = this.#uw;
+
+    if (EMOJI_REGEX.test(reaction)) {
+      return;
+    }
+    const emoteList = emotes != null ? await emotes.getEmotes() : [];
+    if (!emoteList.some((emote) => emote.name === reaction)) {
+      throw new InvalidReactionError({ reaction });
+    }
+  }
+
+  /**
+   * Add or remove a reaction to a chat message, and broadcast the new reaction counts.
+   *
+   * @param {User} user
+   * @param {string} id
+   * @param {string} reaction A unicode emoji, or the name of an emote.
+   * @param {boolean} add
+   */
+  async #react(user, id, reaction, add) {
+    const { db } = this.#uw;
+
+    const chatMessage = await db.selectFrom('chatMessages')
+      .where('id', '=', id)
+      .select('id')
+      .executeTakeFirst();
+    if (!chatMessage) {
+      throw new ChatMessageNotFoundError({ id });
+    }
+
+    if (add) {
+      if (await this.isMuted(user)) {
+        throw new MutedError();
+      }
+      await this.#assertValidReaction(reaction);
+
+      await db.insertInto('chatMessageReactions')
+        .values({
+          messageID: id,
+          userID: user.id,
+          reaction,
+          // With milliseconds, so reactions are ordered correctly.
+          createdAt: new Date(),
+        })
+        .onConflict((oc) => oc.doNothing())
+        .execute();
+    } else {
+      await db.deleteFrom('chatMessageReactions')
+        .where('messageID', '=', id)
+        .where('userID', '=', user.id)
+        .where('reaction', '=', reaction)
+        .execute();
+    }
+
+    const reactions = await this.#getReactions([id]);
+    this.#uw.publish('chat:reaction', {
+      id,
+      userID: user.id,
+      reaction,
+      added: add,
+      reactions: reactions.get(id) ?? [],
+    });
+  }
+
+  /**
+   * React to a chat message. Reacting twice with the same emoji does nothing.
+   *
+   * @param {User} user
+   * @param {string} id
+   * @param {string} reaction A unicode emoji, or the name of an emote.
+   * @throws {ChatMessageNotFoundError}
+   * @throws {InvalidReactionError}
+   */
+  async addReaction(user, id, reaction) {
+    await this.#react(user, id, reaction, true);
+  }
+
+  /**
+   * @param {User} user
+   * @param {string} id
+   * @param {string} reaction
+   * @throws {ChatMessageNotFoundError}
+   */
+  async removeReaction(user, id, reaction) {
+    await this.#react(user, id, reaction, false);
+  }
+
+  /**
+   * List stored chat messages, newest first.
+   *
+   * @param {{ offset?: number, limit?: number }} [pagination]
+   * @param {{ viewer?: User | null }} [options] - Messages by users that the viewer
+   *     blocked are left out.
+   */
+  async getMessages(pagination = {}, options = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    const { viewer } = options;
+    let query = db.selectFrom('chatMessages');
+    if (viewer != null) {
+      query = query.where('chatMessages.userID', 'not in', (eb) => eb.selectFrom('userBlocks')
+        .where('userBlocks.userID', '=', viewer.id)
+        .select('userBlocks.blockedUserID'));
+    }
+
+    const total = await query
+      .select((eb) => eb.fn.countAll().as('count'))
+      .executeTakeFirstOrThrow();
+    const rows = await query
+      .innerJoin('users', 'users.id', 'chatMessages.userID')
+      .select([
+        'chatMessages.id',
+        'chatMessages.message',
+        (eb) => json(eb.ref('chatMessages.mentions')).as('mentions'),
+        'chatMessages.createdAt',
+        'chatMessages.editedAt',
+        'users.id as user.id',
+        'users.username as user.username',
+        'users.slug as user.slug',
+        'users.avatar as user.avatar',
+        'users.createdAt as user.createdAt',
+      ])
+      .orderBy('chatMessages.createdAt', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    const reactions = await this.#getReactions(rows.map((row) => row.id));
+
+    return new Page(rows.map((row) => chatMessageFromRow(row, reactions.get(row.id))), {
+      pageSize: limit,
+      filtered: Number(total.count),
+      total: Number(total.count),
+      current: { offset, limit },
+      next: offset + limit < Number(total.count) ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+
+  /**
+   * Get the most recent chat messages, oldest first.
+   *
+   * @param {User | null} [viewer]
+   */
+  async getRecentMessages(viewer = null) {
+    const page = await this.getMessages({ limit: this.#options.backlogSize }, { viewer });
+    return page.data.reverse();
+  }
+
   /**
    * @param {{ id: string } | { userID: UserID } | {}} filter
    * @param {{ moderator: User }} options
    */
-  delete(filter, options) {
+  async delete(filter, options) {
+    const { db } = this.#uw;
+
     const deletion = {
       filter: typeof filter === 'string' ? { id: filter } : filter,
       moderatorID: options.moderator.id,
     };
 
+    /** @type {{ id?: string, userID?: UserID }} */
+    const where = deletion.filter;
+    /** @type {{ userID: UserID, message: string } | undefined} */
+    let deletedMessage;
+    let query = db.deleteFrom('chatMessages');
+    if (where.id != null) {
+      // Keep the message around for the audit log.
+      deletedMessage = await db.selectFrom('chatMessages')
+        .where('id', '=', where.id)
+        .select(['userID', 'message'])
+        .executeTakeFirst();
+      query = query.where('id', '=', where.id);
+    } else if (where.userID != null) {
+      query = query.where('userID', '=', where.userID);
+    }
+    await query.execute();
+
     this.#uw.publish('chat:delete', deletion);
+
+    await this.#uw.audit.record('chat.delete', {
+      moderatorID: options.moderator.id,
+      userID: deletedMessage?.userID ?? where.userID ?? null,
+      data: where.id != null
+        ? { messageID: where.id, message: deletedMessage?.message ?? null }
+        : {},
+    });
   }
 }
 
@@ -138,6 +885,7 @@ class Chat {
 async function chat(uw, options = {}) {
   uw.chat = new Chat(uw, options);
   uw.httpApi.use('/chat', routes());
+  uw.httpApi.use('/mutes', mutesRoutes());
 }
 
 export default chat;
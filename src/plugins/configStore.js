@@ -16,6 +16,23 @@ import { fromJson, json, jsonb } from '../utils/sqlite.js';
 
 const CONFIG_UPDATE_MESSAGE = 'configStore:update';
 
+/**
+ * List the settings changed by a JSON merge patch, as dotted paths. Used for the audit
+ * log, which must not contain the values: some settings are secrets.
+ *
+ * @param {import('type-fest').JsonValue} patch
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function getChangedPaths(patch, prefix = '') {
+  if (patch == null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return [prefix];
+  }
+  return Object.entries(patch).flatMap(([name, value]) => (
+    getChangedPaths(value ?? null, prefix ? `${prefix}.${name}` : name)
+  ));
+}
+
 /**
  * Extensible configuration store.
  *
@@ -186,13 +203,16 @@ class ConfigStore {
    *
    * Rejects if the settings do not follow the schema for the config group.
    *
+   * Changes made by a user are recorded in the audit log, unless `audit: false` is given
+   * because the caller records a more specific action.
+   *
    * @param {string} key
    * @param {JsonObject} settings
-   * @param {{ user?: User }} [options]
+   * @param {{ user?: User, audit?: boolean }} [options]
    * @public
    */
   async set(key, settings, options = {}) {
-    const { user } = options;
+    const { user, audit = true } = options;
     const validate = this.#validators.get(key);
     if (validate) {
       if (!validate(settings)) {
@@ -210,6 +230,13 @@ class ConfigStore {
       user: user ? user.id : null,
       patch,
     });
+
+    if (user && audit) {
+      await this.#uw.audit.record('config.set', {
+        moderatorID: user.id,
+        data: { key, changed: getChangedPaths(patch) },
+      });
+    }
   }
 
   /**
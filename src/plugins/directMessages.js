@@ -0,0 +1,222 @@
+import { randomUUID } from 'node:crypto';
+import lodash from 'lodash';
+import ms from 'ms';
+import {
+  BannedError,
+  CannotMessageUserError,
+  ChatRateLimitError,
+  MutedError,
+  UserNotFoundError,
+} from '../errors/index.js';
+import Page from '../Page.js';
+import routes from '../routes/directMessages.js';
+import consumeRateLimits from '../utils/consumeRateLimits.js';
+
+const { clamp } = lodash;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/** How many private messages a user may send within `RATE_LIMIT_DURATION`. */
+const RATE_LIMIT_MESSAGES = 10;
+/** In milliseconds. */
+const RATE_LIMIT_DURATION = 10_000;
+
+/**
+ * @typedef {import('../schema.js').UserID} UserID
+ * @typedef {import('../schema.js').User} User
+ * @typedef {import('../schema.js').DirectMessage} DirectMessage
+ */
+
+/**
+ * @param {DirectMessage} message
+ */
+function serializeDirectMessage(message) {
+  return {
+    _id: message.id,
+    senderID: message.senderID,
+    recipientID: message.recipientID,
+    message: message.message,
+    timestamp: message.createdAt.getTime(),
+    readAt: message.readAt?.getTime() ?? null,
+  };
+}
+
+class DirectMessages {
+  #uw;
+
+  /**
+   * @param {import('../Uwave.js').Boot} uw
+   */
+  constructor(uw) {
+    this.#uw = uw;
+  }
+
+  /**
+   * Send a private message to another user.
+   *
+   * @param {User} sender
+   * @param {UserID} recipientID
+   * @param {string} message
+   * @throws {MutedError} If the sender is muted.
+   * @throws {CannotMessageUserError} If the recipient is banned, or one of the users
+   *     blocked the other.
+   * @throws {ChatRateLimitError} If the sender is sending too many messages.
+   */
+  async send(sender, recipientID, message) {
+    const {
+      bans,
+      chat,
+      db,
+      redis,
+      users,
+    } = this.#uw;
+
+    if (sender.id === recipientID) {
+      throw new CannotMessageUserError();
+    }
+    const recipient = await users.getUser(recipientID);
+    if (!recipient) {
+      throw new UserNotFoundError({ id: recipientID });
+    }
+
+    if (await bans.isBanned(sender)) {
+      throw new BannedError();
+    }
+    if (await chat.isMuted(sender)) {
+      throw new MutedError();
+    }
+    if (await bans.isBanned(recipient) || await users.isEitherBlocked(sender.id, recipient.id)) {
+      throw new CannotMessageUserError();
+    }
+
+    const retryAfter = await consumeRateLimits(redis, [{
+      key: `directMessages:sent:${sender.id}`,
+      max: RATE_LIMIT_MESSAGES,
+      duration: RATE_LIMIT_DURATION,
+    }]);
+    if (retryAfter != null) {
+      throw new ChatRateLimitError({
+        retryAfter: ms(Math.max(retryAfter, 1000), { long: true }),
+      });
+    }
+
+    const directMessage = await db.insertInto('directMessages')
+      .values({
+        id: randomUUID(),
+        senderID: sender.id,
+        recipientID: recipient.id,
+        message: chat.truncate(message),
+        readAt: null,
+        createdAt: new Date(),
+      })
+      .returningAll()
+      .executeTakeFirstOrThrow();
+
+    this.#uw.publish('directMessages:message', {
+      id: directMessage.id,
+      senderID: directMessage.senderID,
+      recipientID: directMessage.recipientID,
+      message: directMessage.message,
+      timestamp: directMessage.createdAt.getTime(),
+    });
+
+    return serializeDirectMessage(directMessage);
+  }
+
+  /**
+   * List the messages between two users, newest first.
+   *
+   * @param {User} user
+   * @param {UserID} otherID
+   * @param {{ offset?: number, limit?: number }} [pagination]
+   */
+  async getConversation(user, otherID, pagination = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    const query = db.selectFrom('directMessages')
+      .where((eb) => eb.or([
+        eb.and([eb('senderID', '=', user.id), eb('recipientID', '=', otherID)]),
+        eb.and([eb('senderID', '=', otherID), eb('recipientID', '=', user.id)]),
+      ]));
+
+    const { count } = await query
+      .select((eb) => eb.fn.countAll().as('count'))
+      .executeTakeFirstOrThrow();
+    const total = Number(count);
+    const rows = await query
+      .selectAll()
+      .orderBy('createdAt', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    return new Page(rows.map(serializeDirectMessage), {
+      pageSize: limit,
+      filtered: total,
+      total,
+      current: { offset, limit },
+      next: offset + limit < total ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+
+  /**
+   * Count the unread messages sent to a user, per sender.
+   *
+   * @param {User} user
+   * @returns {Promise<{ userID: UserID, unread: number }[]>}
+   */
+  async getUnreadCounts(user) {
+    const { db } = this.#uw;
+
+    const rows = await db.selectFrom('directMessages')
+      .where('recipientID', '=', user.id)
+      .where('readAt', 'is', null)
+      .select((eb) => ['senderID', eb.fn.countAll().as('unread')])
+      .groupBy('senderID')
+      .execute();
+
+    return rows.map((row) => ({
+      userID: row.senderID,
+      unread: Number(row.unread),
+    }));
+  }
+
+  /**
+   * Mark all messages that a user received from someone else as read.
+   *
+   * @param {User} user
+   * @param {UserID} senderID
+   */
+  async markRead(user, senderID) {
+    const { db } = this.#uw;
+
+    await db.updateTable('directMessages')
+      .where('recipientID', '=', user.id)
+      .where('senderID', '=', senderID)
+      .where('readAt', 'is', null)
+      .set({ readAt: new Date() })
+      .execute();
+  }
+}
+
+/**
+ * @param {import('../Uwave.js').Boot} uw
+ */
+async function directMessagesPlugin(uw) {
+  uw.directMessages = new DirectMessages(uw);
+  uw.httpApi.use('/messages', routes());
+}
+
+export default directMessagesPlugin;
+export { DirectMessages };
@@ -1,3 +1,4 @@
+import { sql } from 'kysely';
 import lodash from 'lodash';
 import Page from '../Page.js';
 import { fromJson, json, jsonb } from '../utils/sqlite.js';
@@ -7,8 +8,26 @@ const { clamp } = lodash;
 const DEFAULT_PAGE_SIZE = 50;
 const MAX_PAGE_SIZE = 100;
 
+/** How many top artists and most-played media to include in user statistics. */
+const TOP_LIST_SIZE = 10;
+/**
+ * How long to cache user statistics, in seconds. Statistics are computed over
+ * the user's entire history, so we do not want to do it on every profile view.
+ */
+const USER_STATS_CACHE_TTL = 10 * 60;
+
 /** @typedef {import('../schema.js').Database} Database */
 
+/**
+ * Escape the LIKE wildcards in a string, so it only matches literally.
+ * Use with `ESCAPE '\'`.
+ *
+ * @param {string} str
+ */
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, '\\$&');
+}
+
 const historyEntrySelection = /** @type {const} */ ([
   'historyEntries.id',
   'historyEntries.artist',
@@ -73,12 +92,15 @@ const historyEntrySelection = /** @type {const} */ ([
  *   'media.title': string,
  *   'media.thumbnail': string,
  *   'media.duration': number,
- *   upvotes: import('../utils/sqlite.js').SerializedJSON<UserID>,
- *   downvotes: import('../utils/sqlite.js').SerializedJSON<UserID>,
- *   favorites: import('../utils/sqlite.js').SerializedJSON<UserID>,
+ *   upvotes: import('../utils/sqlite.js').SerializedJSON<UserID[]>,
+ *   downvotes: import('../utils/sqlite.js').SerializedJSON<UserID[]>,
+ *   favorites: import('../utils/sqlite.js').SerializedJSON<UserID[]>,
  * }} row
  */
 function historyEntryFromRow(row) {
+  const upvotes = fromJson(row.upvotes);
+  const downvotes = fromJson(row.downvotes);
+  const favorites = fromJson(row.favorites);
   return {
     _id: row.id,
     playedAt: row.playedAt,
@@ -105,9 +127,29 @@ function historyEntryFromRow(row) {
         duration: row['media.duration'],
       },
     },
-    upvotes: fromJson(row.upvotes),
-    downvotes: fromJson(row.downvotes),
-    favorites: fromJson(row.favorites),
+    upvotes,
+    downvotes,
+    favorites,
+    upvoteCount: upvotes.length,
+    downvoteCount: downvotes.length,
+    favoriteCount: favorites.length,
+  };
+}
+
+/**
+ * Hide who voted on a history entry, for users who may not see vote history.
+ * The vote counts are kept.
+ *
+ * @template {{ upvotes: UserID[], downvotes: UserID[], favorites: UserID[] }} Entry
+ * @param {Entry} entry
+ * @returns {Entry}
+ */
+function withoutVoters(entry) {
+  return {
+    ...entry,
+    upvotes: [],
+    downvotes: [],
+    favorites: [],
   };
 }
 
@@ -120,6 +162,40 @@ function historyEntryFromRow(row) {
  * @typedef {import('../schema.js').Media} Media
  */
 
+/**
+ * @typedef {object} HistoryOptions
+ * @prop {UserID} [user] - Only include plays by this user.
+ * @prop {MediaID} [media] - Only include plays of this media.
+ * @prop {{ sourceType: string, sourceID: string }} [source] - Only include plays of
+ *     this media, by its source.
+ * @prop {string} [search] - Only include plays with this text in the artist or title.
+ * @prop {Date} [from] - Only include plays that started at or after this time.
+ * @prop {Date} [to] - Only include plays that started before this time.
+ * @prop {'playedAt' | 'score'} [sort] - Sort by play time or by vote score. Either
+ *     way, the most recent or highest-scoring plays come first.
+ */
+
+/**
+ * @typedef {object} UserStats
+ * @prop {number} plays
+ * @prop {number} upvotes - Upvotes received on the user's plays.
+ * @prop {number} downvotes - Downvotes received on the user's plays.
+ * @prop {number} favorites - Favorites received on the user's plays.
+ * @prop {{ artist: string, plays: number }[]} topArtists
+ * @prop {{
+ *   media: {
+ *     _id: MediaID,
+ *     sourceType: string,
+ *     sourceID: string,
+ *     artist: string,
+ *     title: string,
+ *     thumbnail: string,
+ *     duration: number,
+ *   },
+ *   plays: number,
+ * }[]} topMedia
+ */
+
 class HistoryRepository {
   #uw;
 
@@ -146,7 +222,7 @@ class HistoryRepository {
 
   /**
    * @param {{ offset?: number, limit?: number }} [pagination]
-   * @param {{ user?: UserID }} [options]
+   * @param {HistoryOptions} [options]
    */
   async getHistory(pagination = {}, options = {}) {
     const { db } = this.#uw;
@@ -160,14 +236,58 @@ class HistoryRepository {
 
     let query = db.selectFrom('historyEntries');
     if (options.user) {
-      query = query.where('userID', '=', options.user);
+      query = query.where('historyEntries.userID', '=', options.user);
     }
-
     const total = await query.select((eb) => eb.fn.countAll().as('count')).executeTakeFirstOrThrow();
-    const rows = await query
+
+    const {
+      media,
+      source,
+      search,
+      from,
+      to,
+    } = options;
+    if (media) {
+      query = query.where('historyEntries.mediaID', '=', media);
+    }
+    if (source) {
+      query = query.where('historyEntries.mediaID', 'in', db.selectFrom('media')
+        .where('sourceType', '=', source.sourceType)
+        .where('sourceID', '=', source.sourceID)
+        .select('id'));
+    }
+    if (search) {
+      const pattern = `%${escapeLike(search)}%`;
+      /** @param {import('kysely').Expression<string>} column */
+      const matches = (column) => /** @type {import('kysely').RawBuilder<boolean>} */ (
+        sql`${column} like ${pattern} escape '\\'`
+      );
+      query = query.where((eb) => eb.or([
+        matches(eb.ref('historyEntries.artist')),
+        matches(eb.ref('historyEntries.title')),
+      ]));
+    }
+    if (from) {
+      query = query.where('historyEntries.createdAt', '>=', from);
+    }
+    if (to) {
+      query = query.where('historyEntries.createdAt', '<', to);
+    }
+    const isFiltered = Boolean(media || source || search || from || to);
+    const filtered = isFiltered
+      ? await query.select((eb) => eb.fn.countAll().as('count')).executeTakeFirstOrThrow()
+      : total;
+
+    let rowsQuery = query
       .innerJoin('users', 'historyEntries.userID', 'users.id')
       .innerJoin('media', 'historyEntries.mediaID', 'media.id')
-      .select(historyEntrySelection)
+      .select(historyEntrySelection);
+    if (options.sort === 'score') {
+      rowsQuery = rowsQuery.orderBy((eb) => eb.selectFrom('feedback')
+        .where('historyEntryID', '=', eb.ref('historyEntries.id'))
+        .select((eb) => eb.fn.coalesce(eb.fn.sum('vote'), eb.lit(0)).as('score')), 'desc');
+    }
+    const rows = await rowsQuery
       .orderBy('historyEntries.createdAt', 'desc')
       .offset(offset)
       .limit(limit)
@@ -177,7 +297,7 @@ class HistoryRepository {
 
     return new Page(historyEntries, {
       pageSize: pagination ? pagination.limit : undefined,
-      filtered: Number(total.count),
+      filtered: Number(filtered.count),
       total: Number(total.count),
       current: { offset, limit },
       next: pagination ? { offset: offset + limit, limit } : undefined,
@@ -189,9 +309,10 @@ class HistoryRepository {
 
   /**
    * @param {{ offset?: number, limit?: number }} [pagination]
+   * @param {HistoryOptions} [options]
    */
-  getRoomHistory(pagination = {}) {
-    return this.getHistory(pagination, {});
+  getRoomHistory(pagination = {}, options = {}) {
+    return this.getHistory(pagination, options);
   }
 
   /**
@@ -201,6 +322,158 @@ class HistoryRepository {
   getUserHistory(user, pagination = {}) {
     return this.getHistory(pagination, { user: user.id });
   }
+
+  /**
+   * List the plays that a user voted on or favorited, most recent first.
+   *
+   * @param {User} user
+   * @param {{ offset?: number, limit?: number }} [pagination]
+   */
+  async getUserVotes(user, pagination = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    const query = db.selectFrom('feedback')
+      .where('feedback.userID', '=', user.id)
+      .where((eb) => eb.or([
+        eb('feedback.vote', '!=', 0),
+        eb('feedback.favorite', '=', 1),
+      ]));
+
+    const total = await query.select((eb) => eb.fn.countAll().as('count')).executeTakeFirstOrThrow();
+    const rows = await query
+      .innerJoin('historyEntries', 'feedback.historyEntryID', 'historyEntries.id')
+      .innerJoin('users', 'historyEntries.userID', 'users.id')
+      .innerJoin('media', 'historyEntries.mediaID', 'media.id')
+      .select(historyEntrySelection)
+      .select(['feedback.vote', 'feedback.favorite'])
+      .orderBy('historyEntries.createdAt', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    const votes = rows.map((row) => ({
+      ...historyEntryFromRow(row),
+      vote: row.vote,
+      favorite: row.favorite === 1,
+    }));
+
+    return new Page(votes, {
+      pageSize: limit,
+      filtered: Number(total.count),
+      total: Number(total.count),
+      current: { offset, limit },
+      next: offset + limit < Number(total.count) ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+
+  /**
+   * Compute play statistics for a user: how often they played, how their plays
+   * were received, and what they play most.
+   *
+   * @param {UserID} userID
+   * @returns {Promise<UserStats>}
+   */
+  async #computeUserStats(userID) {
+    const { db } = this.#uw;
+
+    const { plays } = await db.selectFrom('historyEntries')
+      .where('userID', '=', userID)
+      .select((eb) => eb.fn.countAll().as('plays'))
+      .executeTakeFirstOrThrow();
+
+    const received = await db.selectFrom('feedback')
+      .innerJoin('historyEntries', 'feedback.historyEntryID', 'historyEntries.id')
+      .where('historyEntries.userID', '=', userID)
+      .select((eb) => [
+        eb.fn.countAll().filterWhere('feedback.vote', '=', 1).as('upvotes'),
+        eb.fn.countAll().filterWhere('feedback.vote', '=', -1).as('downvotes'),
+        eb.fn.countAll().filterWhere('feedback.favorite', '=', 1).as('favorites'),
+      ])
+      .executeTakeFirstOrThrow();
+
+    const topArtists = await db.selectFrom('historyEntries')
+      .where('userID', '=', userID)
+      .select((eb) => ['artist', eb.fn.countAll().as('plays')])
+      .groupBy('artist')
+      .orderBy('plays', 'desc')
+      .orderBy('artist', 'asc')
+      .limit(TOP_LIST_SIZE)
+      .execute();
+
+    const topMedia = await db.selectFrom('historyEntries')
+      .innerJoin('media', 'historyEntries.mediaID', 'media.id')
+      .where('historyEntries.userID', '=', userID)
+      .select((eb) => [
+        'media.id',
+        'media.sourceType',
+        'media.sourceID',
+        'media.artist',
+        'media.title',
+        'media.thumbnail',
+        'media.duration',
+        eb.fn.countAll().as('plays'),
+      ])
+      .groupBy('media.id')
+      .orderBy('plays', 'desc')
+      .orderBy('media.id', 'asc')
+      .limit(TOP_LIST_SIZE)
+      .execute();
+
+    return {
+      plays: Number(plays),
+      upvotes: Number(received.upvotes),
+      downvotes: Number(received.downvotes),
+      favorites: Number(received.favorites),
+      topArtists: topArtists.map((row) => ({
+        artist: row.artist,
+        plays: Number(row.plays),
+      })),
+      topMedia: topMedia.map((row) => ({
+        media: {
+          _id: row.id,
+          sourceType: row.sourceType,
+          sourceID: row.sourceID,
+          artist: row.artist,
+          title: row.title,
+          thumbnail: row.thumbnail,
+          duration: row.duration,
+        },
+        plays: Number(row.plays),
+      })),
+    };
+  }
+
+  /**
+   * Get play statistics for a user. The statistics are cached for a while, so
+   * they may lag behind a little.
+   *
+   * @param {User} user
+   * @returns {Promise<UserStats>}
+   */
+  async getUserStats(user) {
+    const { redis } = this.#uw;
+
+    const key = `history:stats:${user.id}`;
+    const cached = await redis.get(key);
+    if (cached != null) {
+      return JSON.parse(cached);
+    }
+
+    const stats = await this.#computeUserStats(user.id);
+    await redis.set(key, JSON.stringify(stats), 'EX', USER_STATS_CACHE_TTL);
+
+    return stats;
+  }
 }
 
 /**
@@ -211,4 +484,4 @@ async function history(uw) {
 }
 
 export default history;
-export { HistoryRepository };
+export { HistoryRepository, withoutVoters };
@@ -3,6 +3,7 @@ import {
   PlaylistNotFoundError,
   ItemNotInPlaylistError,
   MediaNotFoundError,
+  SourceNotFoundError,
   UserNotFoundError,
 } from '../errors/index.js';
 import Page from '../Page.js';
@@ -471,6 +472,23 @@ class PlaylistsRepository {
     });
   }
 
+  /**
+   * Iterate over all items in a playlist, in order. Items are loaded in batches,
+   * so this can be used for very large playlists.
+   *
+   * @param {{ id: PlaylistID }} playlist
+   */
+  async* iteratePlaylistItems(playlist, tx = this.#uw.db) {
+    const limit = 100;
+    for (let offset = 0; ; offset += limit) {
+      const page = await this.getPlaylistItems(playlist, undefined, { offset, limit }, tx);
+      yield* page.data;
+      if (page.data.length < limit) {
+        break;
+      }
+    }
+  }
+
   /**
    * Get playlists containing a particular Media.
    *
@@ -543,10 +561,14 @@ class PlaylistsRepository {
   /**
    * Load media for all the given source type/source IDs.
    *
+   * By default, this throws if any of the media could not be found. With `strict: false`,
+   * media that could not be found are left out of the result instead.
+   *
    * @param {User} user
    * @param {{ sourceType: string, sourceID: string }[]} items
+   * @param {{ strict?: boolean }} [options]
    */
-  async resolveMedia(user, items) {
+  async resolveMedia(user, items, { strict = true } = {}) {
     const { db } = this.#uw;
 
     // Group by source so we can retrieve all unknown medias from the source in
@@ -577,8 +599,25 @@ class PlaylistsRepository {
       });
 
       if (unknownMediaIDs.length > 0) {
-        // @ts-expect-error TS2322
-        const unknownMedias = await this.#uw.source(sourceType).get(user, unknownMediaIDs);
+        const source = this.#uw.source(sourceType);
+        if (!source) {
+          if (strict) {
+            throw new SourceNotFoundError({ name: sourceType });
+          }
+          return;
+        }
+
+        /** @type {import('../Source.js').SourceMedia[]} */
+        let unknownMedias;
+        try {
+          unknownMedias = await source.get(user, unknownMediaIDs);
+        } catch (err) {
+          if (strict) {
+            throw err;
+          }
+          this.#logger.warn({ err, sourceType }, 'could not resolve media');
+          return;
+        }
         for (const media of unknownMedias) {
           const newMedia = await db.insertInto('media')
             .values({
@@ -601,15 +640,93 @@ class PlaylistsRepository {
 
     await Promise.all(promises);
 
-    for (const item of items) {
-      if (!allMedias.has(`${item.sourceType}:${item.sourceID}`)) {
-        throw new MediaNotFoundError({ sourceType: item.sourceType, sourceID: item.sourceID });
+    if (strict) {
+      for (const item of items) {
+        if (!allMedias.has(`${item.sourceType}:${item.sourceID}`)) {
+          throw new MediaNotFoundError({ sourceType: item.sourceType, sourceID: item.sourceID });
+        }
       }
     }
 
     return allMedias;
   }
 
+  /**
+   * Create a playlist from a document in the üWave playlist export format.
+   * Items whose media can not be found are left out and reported, instead of
+   * failing the whole import.
+   *
+   * @param {User} user
+   * @param {{
+   *   name: string,
+   *   items: {
+   *     artist: string,
+   *     title: string,
+   *     start: number,
+   *     end: number,
+   *     media: { sourceType: string, sourceID: string },
+   *   }[],
+   * }} document
+   */
+  async importPlaylist(user, { name, items }) {
+    const medias = await this.resolveMedia(
+      user,
+      items.map((item) => item.media),
+      { strict: false },
+    );
+
+    /** @type {PlaylistItemDesc[]} */
+    const resolved = [];
+    /** @type {{ index: number, sourceType: string, sourceID: string, reason: string }[]} */
+    const unresolved = [];
+    items.forEach((item, index) => {
+      const { sourceType, sourceID } = item.media;
+      if (medias.has(`${sourceType}:${sourceID}`)) {
+        resolved.push({
+          sourceType,
+          sourceID,
+          artist: item.artist,
+          title: item.title,
+          start: item.start,
+          end: item.end,
+        });
+      } else {
+        unresolved.push({
+          index,
+          sourceType,
+          sourceID,
+          reason: this.#uw.source(sourceType) ? 'media-not-found' : 'source-not-found',
+        });
+      }
+    });
+
+    const { playlist, active } = await this.createPlaylist(user, { name });
+    if (resolved.length > 0) {
+      try {
+        await this.addPlaylistItems(playlist, resolved);
+      } catch (err) {
+        // Adding items is all-or-nothing, so only the new, empty playlist is left
+        // to clean up.
+        await this.#uw.db.transaction().execute(async (tx) => {
+          if (active) {
+            await tx.updateTable('users')
+              .where('id', '=', user.id)
+              .set({ activePlaylistID: null })
+              .execute();
+          }
+          await this.deletePlaylist(playlist, tx);
+        });
+        throw err;
+      }
+    }
+
+    return {
+      playlist: await this.getUserPlaylist(user, playlist.id),
+      active,
+      unresolved,
+    };
+  }
+
   /**
    * Add items to a playlist.
    *
@@ -717,52 +834,57 @@ class PlaylistsRepository {
    * @param {Playlist} playlist
    * @param {PlaylistItemID[]} itemIDs
    * @param {{ after: PlaylistItemID } | { at: 'start' | 'end' }} options
+   * @param {import('kysely').Kysely<import('../schema.js').Database>} [tx] - Run inside
+   *     this transaction instead of starting a new one.
+   * @returns {Promise<{}>}
    */
-  async movePlaylistItems(playlist, itemIDs, options) {
-    const { db } = this.#uw;
-
-    await db.transaction().execute(async (tx) => {
-      const result = await tx.selectFrom('playlists')
-        .select((eb) => json(eb.ref('items')).as('items'))
-        .where('id', '=', playlist.id)
-        .executeTakeFirst();
+  async movePlaylistItems(playlist, itemIDs, options, tx = this.#uw.db) {
+    if (!tx.isTransaction) {
+      return tx.transaction().execute((trx) => (
+        this.movePlaylistItems(playlist, itemIDs, options, trx)
+      ));
+    }
 
-      const items = result?.items ? fromJson(result.items) : [];
-      const itemIDsInPlaylist = new Set(items);
-      const itemIDsToMove = new Set(itemIDs.filter((itemID) => itemIDsInPlaylist.has(itemID)));
+    const result = await tx.selectFrom('playlists')
+      .select((eb) => json(eb.ref('items')).as('items'))
+      .where('id', '=', playlist.id)
+      .executeTakeFirst();
 
-      /** @type {PlaylistItemID[]} */
-      let newItemIDs = [];
-      /** Index in the new item array to move the item IDs to. */
-      let insertIndex = 0;
-      let index = 0;
-      for (const itemID of itemIDsInPlaylist) {
-        if (!itemIDsToMove.has(itemID)) {
-          index += 1;
-          newItemIDs.push(itemID);
-        }
-        if ('after' in options && itemID === options.after) {
-          insertIndex = index;
-        }
+    const items = result?.items ? fromJson(result.items) : [];
+    const itemIDsInPlaylist = new Set(items);
+    const itemIDsToMove = new Set(itemIDs.filter((itemID) => itemIDsInPlaylist.has(itemID)));
+
+    /** @type {PlaylistItemID[]} */
+    let newItemIDs = [];
+    /** Index in the new item array to move the item IDs to. */
+    let insertIndex = 0;
+    let index = 0;
+    for (const itemID of itemIDsInPlaylist) {
+      if (!itemIDsToMove.has(itemID)) {
+        index += 1;
+        newItemIDs.push(itemID);
       }
-
-      if ('after' in options) {
-        newItemIDs = [
-          ...newItemIDs.slice(0, insertIndex + 1),
-          ...itemIDsToMove,
-          ...newItemIDs.slice(insertIndex + 1),
-        ];
-      } else if (options.at === 'start') {
-        newItemIDs = [...itemIDsToMove, ...newItemIDs];
-      } else {
-        newItemIDs = [...newItemIDs, ...itemIDsToMove];
+      if ('after' in options && itemID === options.after) {
+        insertIndex = index;
       }
+    }
 
-      await tx.updateTable('playlists')
-        .where('id', '=', playlist.id)
-        .set('items', jsonb(newItemIDs))
-        .execute();
-    });
+    if ('after' in options) {
+      newItemIDs = [
+        ...newItemIDs.slice(0, insertIndex + 1),
+        ...itemIDsToMove,
+        ...newItemIDs.slice(insertIndex + 1),
+      ];
+    } else if (options.at === 'start') {
+      newItemIDs = [...itemIDsToMove, ...newItemIDs];
+    } else {
+      newItemIDs = [...newItemIDs, ...itemIDsToMove];
+    }
+
+    await tx.updateTable('playlists')
+      .where('id', '=', playlist.id)
+      .set('items', jsonb(newItemIDs))
+      .execute();
 
     return {};
   }
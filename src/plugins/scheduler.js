@@ -0,0 +1,403 @@
+import { randomUUID } from 'node:crypto';
+import lodash from 'lodash';
+import RedLock, { ExecutionError } from 'redlock';
+import {
+  InvalidRecurrenceError,
+  ScheduledJobNotFoundError,
+  UserNotFoundError,
+} from '../errors/index.js';
+import Page from '../Page.js';
+import routes from '../routes/schedule.js';
+import { parseCron, nextCronDate } from '../utils/cron.js';
+import { fromJson, json, jsonb } from '../utils/sqlite.js';
+
+const { clamp } = lodash;
+
+/**
+ * @typedef {import('../schema.js').User} User
+ * @typedef {import('../schema.js').ScheduledJobID} ScheduledJobID
+ * @typedef {import('../schema.js').ScheduledJobAction} ScheduledJobAction
+ * @typedef {import('../schema.js').ScheduledJob} ScheduledJob
+ * @typedef {import('type-fest').JsonObject} JsonObject
+ */
+
+const REDIS_SCHEDULER_LOCK = 'scheduler:running';
+
+/**
+ * Check for due jobs at least this often, so jobs created or changed on other
+ * instances are picked up in time.
+ */
+const POLL_INTERVAL = 30_000;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @param {string} recurrence
+ * @param {Date} after
+ */
+function getNextOccurrence(recurrence, after) {
+  const next = nextCronDate(parseCron(recurrence), after);
+  if (next == null) {
+    throw new InvalidRecurrenceError({ expression: recurrence, reason: 'it never occurs' });
+  }
+  return next;
+}
+
+/**
+ * @template {{ data: import('../utils/sqlite.js').SerializedJSON<JsonObject | null> }} T
+ * @param {T} row
+ * @returns {Omit<T, 'data'> & { data: JsonObject | null }}
+ */
+function jobFromRow(row) {
+  return { ...row, data: fromJson(row.data) };
+}
+
+class Scheduler {
+  #uw;
+
+  #logger;
+
+  #locker;
+
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  #timeout = null;
+
+  /** @type {Promise<void>|null} */
+  #running = null;
+
+  #stopped = false;
+
+  /**
+   * @param {import('../Uwave.js').Boot} uw
+   */
+  constructor(uw) {
+    this.#uw = uw;
+    this.#logger = uw.logger.child({ ns: 'uwave:scheduler' });
+    this.#locker = new RedLock([uw.redis]);
+  }
+
+  /** @internal */
+  async onStart() {
+    this.#uw.onClose(async () => {
+      this.#stopped = true;
+      this.#clearTimeout();
+      await this.#running;
+    });
+
+    // Jobs that were due while the server was down run immediately.
+    this.#tick();
+  }
+
+  #clearTimeout() {
+    if (this.#timeout) {
+      clearTimeout(this.#timeout);
+      this.#timeout = null;
+    }
+  }
+
+  /**
+   * Set a timer for the next job, or for the next poll if that comes first.
+   */
+  async #scheduleNextCheck() {
+    const { db } = this.#uw;
+
+    if (this.#stopped) {
+      return;
+    }
+
+    const next = await db.selectFrom('scheduledJobs')
+      .select('runAt')
+      .orderBy('runAt', 'asc')
+      .limit(1)
+      .executeTakeFirst();
+
+    const delay = next != null
+      ? clamp(next.runAt.getTime() - Date.now(), 0, POLL_INTERVAL)
+      : POLL_INTERVAL;
+
+    this.#clearTimeout();
+    this.#timeout = setTimeout(() => this.#tick(), delay);
+  }
+
+  #tick() {
+    this.#clearTimeout();
+    this.#running = this.#runDueJobs()
+      .catch((err) => {
+        this.#logger.error({ err }, 'running scheduled jobs failed');
+      })
+      .then(() => this.#scheduleNextCheck())
+      .catch((err) => {
+        this.#logger.error({ err }, 'could not schedule next check');
+      });
+  }
+
+  async #runDueJobs() {
+    try {
+      // Only one instance may run jobs at a time. If another instance holds the lock,
+      // it is already taking care of the due jobs, so we do not wait for it.
+      await this.#locker.using([REDIS_SCHEDULER_LOCK], 10_000, { retryCount: 0 }, async () => {
+        const rows = await this.#selectJobs()
+          .where('runAt', '<=', new Date())
+          .orderBy('runAt', 'asc')
+          .execute();
+
+        for (const row of rows) {
+          await this.#runJob(jobFromRow(row));
+        }
+      });
+    } catch (err) {
+      if (err instanceof ExecutionError) {
+        this.#logger.debug('another instance is running scheduled jobs');
+        return;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Run a single job and move it forward to its next occurrence, or remove it if
+   * it does not recur. The job is moved forward *before* running, so a failing
+   * action is not retried over and over.
+   *
+   * @param {ScheduledJob} job
+   */
+  async #runJob(job) {
+    const {
+      db,
+      users,
+      waitlist,
+      motd,
+    } = this.#uw;
+
+    const lastRunAt = new Date();
+    const nextRunAt = job.recurrence != null
+      ? nextCronDate(parseCron(job.recurrence), lastRunAt)
+      : null;
+    if (nextRunAt != null) {
+      await db.updateTable('scheduledJobs')
+        .where('id', '=', job.id)
+        .set({ runAt: nextRunAt, lastRunAt, updatedAt: lastRunAt })
+        .execute();
+    } else {
+      await db.deleteFrom('scheduledJobs')
+        .where('id', '=', job.id)
+        .execute();
+    }
+
+    this.#logger.info({ id: job.id, action: job.action, nextRunAt }, 'running scheduled job');
+
+    try {
+      const moderator = await users.getUser(job.userID);
+      if (!moderator) {
+        throw new UserNotFoundError({ id: job.userID });
+      }
+
+      switch (job.action) {
+        case 'waitlist.lock':
+          await waitlist.lock({ moderator });
+          break;
+        case 'waitlist.unlock':
+          await waitlist.unlock({ moderator });
+          break;
+        case 'waitlist.clear':
+          await waitlist.clear({ moderator });
+          break;
+        case 'motd.set':
+          await motd.set(typeof job.data?.motd === 'string' ? job.data.motd : null);
+          break;
+        default:
+          throw new Error(`Unknown scheduled action "${job.action}"`);
+      }
+    } catch (err) {
+      this.#logger.error({ id: job.id, action: job.action, err }, 'scheduled job failed');
+    }
+  }
+
+  #selectJobs() {
+    return this.#uw.db.selectFrom('scheduledJobs')
+      .select([
+        'id',
+        'action',
+        (eb) => json(eb.fn.coalesce(eb.ref('data'), jsonb(null))).as('data'),
+        'runAt',
+        'recurrence',
+        'userID',
+        'lastRunAt',
+        'createdAt',
+        'updatedAt',
+      ]);
+  }
+
+  /**
+   * List scheduled jobs, the first to run first.
+   *
+   * @param {{ offset?: number, limit?: number }} [pagination]
+   */
+  async getJobs(pagination = {}) {
+    const { db } = this.#uw;
+
+    const offset = pagination.offset ?? 0;
+    const limit = clamp(
+      typeof pagination.limit === 'number' ? pagination.limit : DEFAULT_PAGE_SIZE,
+      0,
+      MAX_PAGE_SIZE,
+    );
+
+    const { total } = await db.selectFrom('scheduledJobs')
+      .select((eb) => eb.fn.countAll().as('total'))
+      .executeTakeFirstOrThrow();
+    const rows = await this.#selectJobs()
+      .orderBy('runAt', 'asc')
+      .offset(offset)
+      .limit(limit)
+      .execute();
+
+    return new Page(rows.map(jobFromRow), {
+      pageSize: limit,
+      filtered: Number(total),
+      total: Number(total),
+      current: { offset, limit },
+      next: offset + limit < Number(total) ? { offset: offset + limit, limit } : null,
+      previous: offset > 0
+        ? { offset: Math.max(offset - limit, 0), limit }
+        : null,
+    });
+  }
+
+  /**
+   * @param {ScheduledJobID} id
+   */
+  async getJob(id) {
+    const row = await this.#selectJobs()
+      .where('id', '=', id)
+      .executeTakeFirst();
+    if (!row) {
+      throw new ScheduledJobNotFoundError({ id });
+    }
+
+    return jobFromRow(row);
+  }
+
+  /**
+   * Schedule a new job. Recurring jobs without an explicit `runAt` time first run
+   * at the next occurrence of their recurrence.
+   *
+   * @param {{
+   *   action: ScheduledJobAction,
+   *   data?: JsonObject | null,
+   *   runAt?: Date | null,
+   *   recurrence?: string | null,
+   * }} props
+   * @param {{ user: User }} options
+   */
+  async createJob(props, { user }) {
+    const { db } = this.#uw;
+
+    const recurrence = props.recurrence ?? null;
+    let runAt = props.runAt ?? null;
+    if (recurrence != null) {
+      // Always validate the recurrence, even if it is not used right away.
+      const next = getNextOccurrence(recurrence, new Date());
+      runAt ??= next;
+    }
+    if (runAt == null) {
+      throw new TypeError('A scheduled job needs either a time or a recurrence');
+    }
+
+    const id = /** @type {ScheduledJobID} */ (randomUUID());
+    await db.insertInto('scheduledJobs')
+      .values({
+        id,
+        action: props.action,
+        data: props.data != null ? jsonb(props.data) : null,
+        runAt,
+        recurrence,
+        userID: user.id,
+      })
+      .execute();
+
+    await this.#scheduleNextCheck();
+
+    return this.getJob(id);
+  }
+
+  /**
+   * Change a scheduled job. Changing the recurrence without specifying a new `runAt`
+   * time moves the job to the next occurrence of the new recurrence.
+   *
+   * @param {ScheduledJobID} id
+   * @param {{
+   *   action?: ScheduledJobAction,
+   *   data?: JsonObject | null,
+   *   runAt?: Date,
+   *   recurrence?: string | null,
+   * }} patch
+   */
+  async updateJob(id, patch) {
+    const { db } = this.#uw;
+
+    // Throws if the job does not exist.
+    await this.getJob(id);
+
+    let { runAt } = patch;
+    if (patch.recurrence != null) {
+      const next = getNextOccurrence(patch.recurrence, new Date());
+      runAt ??= next;
+    }
+
+    /** @type {ReturnType<typeof jsonb<JsonObject>> | null | undefined} */
+    let data;
+    if (patch.data !== undefined) {
+      data = patch.data != null ? jsonb(patch.data) : null;
+    }
+
+    await db.updateTable('scheduledJobs')
+      .where('id', '=', id)
+      .set({
+        action: patch.action,
+        data,
+        runAt,
+        recurrence: patch.recurrence,
+        updatedAt: new Date(),
+      })
+      .execute();
+
+    await this.#scheduleNextCheck();
+
+    return this.getJob(id);
+  }
+
+  /**
+   * @param {ScheduledJobID} id
+   */
+  async deleteJob(id) {
+    const { db } = this.#uw;
+
+    const result = await db.deleteFrom('scheduledJobs')
+      .where('id', '=', id)
+      .executeTakeFirst();
+    if (result.numDeletedRows === 0n) {
+      throw new ScheduledJobNotFoundError({ id });
+    }
+
+    await this.#scheduleNextCheck();
+  }
+}
+
+/**
+ * @param {import('../Uwave.js').Boot} uw
+ */
+async function schedulerPlugin(uw) {
+  uw.scheduler = new Scheduler(uw);
+  uw.httpApi.use('/schedule', routes());
+
+  uw.after(async (err) => {
+    if (!err) {
+      await uw.scheduler.onStart();
+    }
+  });
+}
+
+export default schedulerPlugin;
+export { Scheduler };
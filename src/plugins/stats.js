@@ -0,0 +1,296 @@
+import { sql } from 'kysely';
+import lodash from 'lodash';
+import routes from '../routes/stats.js';
+import { serializeUser } from '../utils/serialize.js';
+
+const { clamp } = lodash;
+
+/**
+ * @typedef {import('../schema.js').UserID} UserID
+ * @typedef {import('../schema.js').MediaID} MediaID
+ * @typedef {'24h' | '7d' | '30d' | 'all'} StatsWindow
+ *
+ * @typedef {object} StatsMedia
+ * @prop {MediaID} _id
+ * @prop {string} sourceType
+ * @prop {string} sourceID
+ * @prop {string} artist
+ * @prop {string} title
+ * @prop {string} thumbnail
+ * @prop {number} duration
+ */
+
+/** @type {Record<StatsWindow, number | null>} */
+const WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null,
+};
+
+const DEFAULT_LIST_SIZE = 10;
+const MAX_LIST_SIZE = 100;
+
+/**
+ * How long to cache statistics, in seconds. The cache is keyed on the current play,
+ * so every advance refreshes them; the expiry takes care of windows sliding forward
+ * while nothing is playing.
+ */
+const CACHE_TTL = 5 * 60;
+
+/**
+ * @param {{
+ *   id: MediaID,
+ *   sourceType: string,
+ *   sourceID: string,
+ *   artist: string,
+ *   title: string,
+ *   thumbnail: string,
+ *   duration: number,
+ * }} row
+ * @returns {StatsMedia}
+ */
+function mediaFromRow(row) {
+  return {
+    _id: row.id,
+    sourceType: row.sourceType,
+    sourceID: row.sourceID,
+    artist: row.artist,
+    title: row.title,
+    thumbnail: row.thumbnail,
+    duration: row.duration,
+  };
+}
+
+class Stats {
+  #uw;
+
+  /**
+   * @param {import('../Uwave.js').Boot} uw
+   */
+  constructor(uw) {
+    this.#uw = uw;
+  }
+
+  /**
+   * @param {StatsWindow} window
+   */
+  #getHistoryEntries(window) {
+    const { db } = this.#uw;
+
+    const duration = WINDOWS[window];
+    let query = db.selectFrom('historyEntries');
+    if (duration != null) {
+      query = query.where('historyEntries.createdAt', '>=', new Date(Date.now() - duration));
+    }
+    return query;
+  }
+
+  /**
+   * Compute a statistic, or return it from the cache.
+   *
+   * @template T
+   * @param {string} name
+   * @param {StatsWindow} window
+   * @param {number|null} limit
+   * @param {() => Promise<T>} compute
+   * @returns {Promise<T>}
+   */
+  async #cached(name, window, limit, compute) {
+    const { redis } = this.#uw;
+
+    const historyID = await redis.get('booth:historyID');
+    const key = `stats:${name}:${window}:${limit ?? ''}:${historyID ?? ''}`;
+    const cached = await redis.get(key);
+    if (cached != null) {
+      return JSON.parse(cached);
+    }
+
+    const result = await compute();
+    await redis.set(key, JSON.stringify(result), 'EX', CACHE_TTL);
+    return result;
+  }
+
+  /**
+   * @param {{ limit?: number }} options
+   */
+  static #getLimit(options) {
+    return clamp(options.limit ?? DEFAULT_LIST_SIZE, 1, MAX_LIST_SIZE);
+  }
+
+  /**
+   * Count plays and the number of different DJs.
+   *
+   * @param {StatsWindow} window
+   * @returns {Promise<{ plays: number, uniqueDJs: number }>}
+   */
+  getSummary(window) {
+    return this.#cached('summary', window, null, async () => {
+      const row = await this.#getHistoryEntries(window)
+        .select((eb) => [
+          eb.fn.countAll().as('plays'),
+          eb.fn.count('historyEntries.userID').distinct().as('uniqueDJs'),
+        ])
+        .executeTakeFirstOrThrow();
+
+      return {
+        plays: Number(row.plays),
+        uniqueDJs: Number(row.uniqueDJs),
+      };
+    });
+  }
+
+  /**
+   * Count plays and DJs per day (in UTC), oldest first. Days without plays are
+   * not included.
+   *
+   * @param {StatsWindow} window
+   * @returns {Promise<{ date: string, plays: number, uniqueDJs: number }[]>}
+   */
+  getPlaysPerDay(window) {
+    return this.#cached('playsPerDay', window, null, async () => {
+      const rows = await this.#getHistoryEntries(window)
+        .select((eb) => [
+          sql`date(${eb.ref('historyEntries.createdAt')})`.$castTo().as('date'),
+          eb.fn.countAll().as('plays'),
+          eb.fn.count('historyEntries.userID').distinct().as('uniqueDJs'),
+        ])
+        .groupBy('date')
+        .orderBy('date', 'asc')
+        .execute();
+
+      return rows.map((row) => ({
+        date: /** @type {string} */ (row.date),
+        plays: Number(row.plays),
+        uniqueDJs: Number(row.uniqueDJs),
+      }));
+    });
+  }
+
+  /**
+   * @param {StatsWindow} window
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<{ media: StatsMedia, plays: number }[]>}
+   */
+  getMostPlayedMedia(window, options = {}) {
+    const limit = Stats.#getLimit(options);
+    return this.#cached('mostPlayed', window, limit, async () => {
+      const rows = await this.#getHistoryEntries(window)
+        .innerJoin('media', 'historyEntries.mediaID', 'media.id')
+        .select((eb) => [
+          'media.id',
+          'media.sourceType',
+          'media.sourceID',
+          'media.artist',
+          'media.title',
+          'media.thumbnail',
+          'media.duration',
+          eb.fn.countAll().as('plays'),
+        ])
+        .groupBy('media.id')
+        .orderBy('plays', 'desc')
+        .orderBy('media.id', 'asc')
+        .limit(limit)
+        .execute();
+
+      return rows.map((row) => ({
+        media: mediaFromRow(row),
+        plays: Number(row.plays),
+      }));
+    });
+  }
+
+  /**
+   * Find the media that received the most upvotes, over all of its plays.
+   *
+   * @param {StatsWindow} window
+   * @param {{ limit?: number }} [options]
+   * @returns {Promise<{ media: StatsMedia, upvotes: number }[]>}
+   */
+  getMostUpvotedMedia(window, options = {}) {
+    const limit = Stats.#getLimit(options);
+    return this.#cached('mostUpvoted', window, limit, async () => {
+      const rows = await this.#getHistoryEntries(window)
+        .innerJoin('feedback', 'feedback.historyEntryID', 'historyEntries.id')
+        .innerJoin('media', 'historyEntries.mediaID', 'media.id')
+        .where('feedback.vote', '=', 1)
+        .select((eb) => [
+          'media.id',
+          'media.sourceType',
+          'media.sourceID',
+          'media.artist',
+          'media.title',
+          'media.thumbnail',
+          'media.duration',
+          eb.fn.countAll().as('upvotes'),
+        ])
+        .groupBy('media.id')
+        .orderBy('upvotes', 'desc')
+        .orderBy('media.id', 'asc')
+        .limit(limit)
+        .execute();
+
+      return rows.map((row) => ({
+        media: mediaFromRow(row),
+        upvotes: Number(row.upvotes),
+      }));
+    });
+  }
+
+  /**
+   * Find the DJs whose plays received the most upvotes.
+   *
+   * @param {StatsWindow} window
+   * @param {{ limit?: number }} [options]
+   */
+  async getTopDJs(window, options = {}) {
+    const { users } = this.#uw;
+
+    const limit = Stats.#getLimit(options);
+    const rows = await this.#cached('topDJs', window, limit, async () => {
+      const result = await this.#getHistoryEntries(window)
+        .leftJoin('feedback', 'feedback.historyEntryID', 'historyEntries.id')
+        .select((eb) => [
+          'historyEntries.userID',
+          eb.fn.count('historyEntries.id').distinct().as('plays'),
+          eb.fn.countAll().filterWhere('feedback.vote', '=', 1).as('upvotes'),
+          eb.fn.countAll().filterWhere('feedback.vote', '=', -1).as('downvotes'),
+          eb.fn.countAll().filterWhere('feedback.favorite', '=', 1).as('favorites'),
+        ])
+        .groupBy('historyEntries.userID')
+        .orderBy('upvotes', 'desc')
+        .orderBy('plays', 'desc')
+        .orderBy('historyEntries.userID', 'asc')
+        .limit(limit)
+        .execute();
+
+      return result.map((row) => ({
+        userID: row.userID,
+        plays: Number(row.plays),
+        upvotes: Number(row.upvotes),
+        downvotes: Number(row.downvotes),
+        favorites: Number(row.favorites),
+      }));
+    });
+
+    // User details are not cached, so renamed users show up with their new name.
+    const djs = await users.getUsersByIds(rows.map((row) => row.userID));
+    const byID = new Map(djs.map((user) => [user.id, serializeUser(user)]));
+
+    return rows.flatMap(({ userID, ...counts }) => {
+      const user = byID.get(userID);
+      return user != null ? [{ user, ...counts }] : [];
+    });
+  }
+}
+
+/**
+ * @param {import('../Uwave.js').Boot} uw
+ */
+async function statsPlugin(uw) {
+  uw.stats = new Stats(uw);
+  uw.httpApi.use('/stats', routes());
+}
+
+export default statsPlugin;
+export { Stats, WINDOWS };
@@ -427,6 +427,89 @@ class UsersRepository {
 
     return user;
   }
+
+  /**
+   * Block a user, hiding their chat messages and mentions, and preventing private
+   * messages in either direction. Blocking someone twice does nothing.
+   *
+   * @param {User} user The user who is blocking someone.
+   * @param {User} blockedUser
+   */
+  async block(user, blockedUser) {
+    const { db } = this.#uw;
+
+    await db.insertInto('userBlocks')
+      .values({ userID: user.id, blockedUserID: blockedUser.id })
+      .onConflict((oc) => oc.doNothing())
+      .execute();
+  }
+
+  /**
+   * @param {User} user The user who blocked someone.
+   * @param {UserID} blockedUserID
+   */
+  async unblock(user, blockedUserID) {
+    const { db } = this.#uw;
+
+    await db.deleteFrom('userBlocks')
+      .where('userID', '=', user.id)
+      .where('blockedUserID', '=', blockedUserID)
+      .execute();
+  }
+
+  /**
+   * List the IDs of the users that a user blocked.
+   *
+   * @param {User} user
+   * @returns {Promise<UserID[]>}
+   */
+  async getBlockedUserIDs(user) {
+    const { db } = this.#uw;
+
+    const rows = await db.selectFrom('userBlocks')
+      .where('userID', '=', user.id)
+      .select('blockedUserID')
+      .execute();
+
+    return rows.map((row) => row.blockedUserID);
+  }
+
+  /**
+   * List the IDs of the users who blocked a user.
+   *
+   * @param {UserID} userID
+   * @returns {Promise<UserID[]>}
+   */
+  async getBlockerIDs(userID) {
+    const { db } = this.#uw;
+
+    const rows = await db.selectFrom('userBlocks')
+      .where('blockedUserID', '=', userID)
+      .select('userID')
+      .execute();
+
+    return rows.map((row) => row.userID);
+  }
+
+  /**
+   * Check whether either of two users blocked the other.
+   *
+   * @param {UserID} userID
+   * @param {UserID} otherID
+   */
+  async isEitherBlocked(userID, otherID) {
+    const { db } = this.#uw;
+
+    const block = await db.selectFrom('userBlocks')
+      .where((eb) => eb.or([
+        eb.and([eb('userID', '=', userID), eb('blockedUserID', '=', otherID)]),
+        eb.and([eb('userID', '=', otherID), eb('blockedUserID', '=', userID)]),
+      ]))
+      .select('userID')
+      .executeTakeFirst();
+
+    return block != null;
+  }
 }
 
 /**
@@ -1,12 +1,15 @@
 import fs from 'node:fs';
+import ms from 'ms';
 import {
   PermissionError,
   UserNotFoundError,
   EmptyPlaylistError,
+  MediaTooLongError,
   WaitlistLockedError,
   AlreadyInWaitlistError,
   UserNotInWaitlistError,
   UserIsPlayingError,
+  WaitlistCooldownError,
 } from '../errors/index.js';
 import routes from '../routes/waitlist.js';
 import { Permissions } from './acl.js';
@@ -18,9 +21,30 @@ const schema = JSON.parse(
 /**
  * @typedef {import('../schema.js').UserID} UserID
  * @typedef {import('../schema.js').User} User
- * @typedef {{ cycle: boolean, locked: boolean }} WaitlistSettings
+ * @typedef {object} PlayLimitSettings
+ * @prop {number|null} maxPlaysPerSession
+ * @prop {number|null} maxPlaysPerHour
+ * @prop {number|null} cooldownAfterPlays
+ * @prop {number} cooldownDuration - In minutes.
+ *
+ * @typedef {object} WaitlistSettings
+ * @prop {boolean} cycle
+ * @prop {boolean} locked
+ * @prop {PlayLimitSettings} playLimits
+ *
+ * @typedef {'session' | 'hourly' | 'cooldown'} PlayLimitReason
+ *
+ * @typedef {object} PlayLimit
+ * @prop {PlayLimitReason} reason
+ * @prop {Date|null} until - When the user may join the waitlist again, if they can't right away.
  */
 
+/** Hash of user IDs to the time they last joined the waitlist. */
+const REDIS_SESSIONS = 'waitlist:sessions';
+const REDIS_COOLDOWN = 'waitlist:cooldown';
+
+const HOUR = 60 * 60 * 1000;
+
 const ADD_TO_WAITLIST_SCRIPT = {
   keys: ['waitlist', 'booth:currentDJ'],
   lua: `
@@ -138,6 +162,30 @@ class Waitlist {
     return playlist && playlist.size > 0;
   }
 
+  /**
+   * Check the first item in the user's active playlist against the booth's
+   * `maxDuration` setting, if it is set to reject long media.
+   *
+   * @param {User} user
+   */
+  async #assertAllowedDuration(user) {
+    const { booth, playlists } = this.#uw;
+
+    const maxDuration = await booth.getMaxDuration();
+    if (maxDuration.policy !== 'reject' || maxDuration.duration == null
+        || !user.activePlaylistID) {
+      return;
+    }
+
+    const playlist = await playlists.getUserPlaylist(user, user.activePlaylistID);
+    const { playlistItem } = await playlists.getPlaylistItemAt(playlist, 0);
+    if (playlistItem.end - playlistItem.start > maxDuration.duration) {
+      throw new MediaTooLongError({
+        maxDuration: ms(maxDuration.duration * 1000, { long: true }),
+      });
+    }
+  }
+
   /**
    * @returns {Promise<WaitlistSettings>}
    */
@@ -164,6 +212,110 @@ class Waitlist {
     return settings.cycle;
   }
 
+  /**
+   * @param {UserID} userID
+   * @param {Date} since
+   * @returns {Promise<number>}
+   */
+  async #countPlaysSince(userID, since) {
+    const { count } = await this.#uw.db.selectFrom('historyEntries')
+      .where('userID', '=', userID)
+      .where('createdAt', '>=', since)
+      .select((eb) => eb.fn.countAll().as('count'))
+      .executeTakeFirstOrThrow();
+    return Number(count);
+  }
+
+  /**
+   * Find out when a user who reached the hourly play limit may play again.
+   *
+   * @param {UserID} userID
+   * @param {number} maxPlaysPerHour
+   * @returns {Promise<Date|null>} `null` if the user has not reached the limit.
+   */
+  async #getHourlyLimitEnd(userID, maxPlaysPerHour) {
+    const plays = await this.#uw.db.selectFrom('historyEntries')
+      .where('userID', '=', userID)
+      .where('createdAt', '>=', new Date(Date.now() - HOUR))
+      .select('createdAt')
+      .orderBy('createdAt', 'desc')
+      .limit(maxPlaysPerHour)
+      .execute();
+    if (plays.length < maxPlaysPerHour) {
+      return null;
+    }
+    // The user can play again once the oldest of their recent plays falls out of the window.
+    return new Date(plays[plays.length - 1].createdAt.getTime() + HOUR);
+  }
+
+  /**
+   * @param {User} user
+   */
+  async #assertNotCoolingDown(user) {
+    const { playLimits } = await this.#getSettings();
+
+    let until = null;
+    const cooldown = await this.#uw.redis.pttl(`${REDIS_COOLDOWN}:${user.id}`);
+    if (cooldown > 0) {
+      until = Date.now() + cooldown;
+    }
+    if (playLimits.maxPlaysPerHour != null) {
+      const hourlyLimitEnd = await this.#getHourlyLimitEnd(user.id, playLimits.maxPlaysPerHour);
+      if (hourlyLimitEnd != null && (until == null || hourlyLimitEnd.getTime() > until)) {
+        until = hourlyLimitEnd.getTime();
+      }
+    }
+
+    if (until != null) {
+      throw new WaitlistCooldownError({
+        retryAfter: ms(Math.max(until - Date.now(), 1000), { long: true }),
+      });
+    }
+  }
+
+  /**
+   * Check if a user has reached one of the play limits. This is done by the booth
+   * after every play, so the count includes the play that just ended. If a limit
+   * was reached, the cooldown starts and the user's waitlist session ends. The
+   * caller must make sure the user is not added back to the waitlist.
+   *
+   * @param {UserID} userID
+   * @returns {Promise<PlayLimit|null>}
+   */
+  async checkPlayLimits(userID) {
+    const { redis } = this.#uw;
+    const { playLimits } = await this.#getSettings();
+
+    const sessionStart = await redis.hget(REDIS_SESSIONS, userID);
+    const sessionPlays = sessionStart != null
+      && (playLimits.cooldownAfterPlays != null || playLimits.maxPlaysPerSession != null)
+      ? await this.#countPlaysSince(userID, new Date(Number(sessionStart)))
+      : 0;
+
+    /** @type {PlayLimit|null} */
+    let limit = null;
+    if (playLimits.cooldownAfterPlays != null && sessionPlays >= playLimits.cooldownAfterPlays) {
+      const duration = playLimits.cooldownDuration * 60 * 1000;
+      await redis.set(`${REDIS_COOLDOWN}:${userID}`, '1', 'PX', duration);
+      limit = { reason: 'cooldown', until: new Date(Date.now() + duration) };
+    } else if (playLimits.maxPlaysPerHour != null) {
+      const until = await this.#getHourlyLimitEnd(userID, playLimits.maxPlaysPerHour);
+      if (until != null) {
+        limit = { reason: 'hourly', until };
+      }
+    }
+    if (limit == null && playLimits.maxPlaysPerSession != null
+        && sessionPlays >= playLimits.maxPlaysPerSession) {
+      limit = { reason: 'session', until: null };
+    }
+
+    if (limit != null) {
+      await redis.hdel(REDIS_SESSIONS, userID);
+    }
+
+    return limit;
+  }
+
   /**
    * @returns {Promise<UserID[]>}
    */
@@ -198,12 +350,18 @@ class Waitlist {
       throw new WaitlistLockedError();
     }
 
+    if (!isAddingOtherUser) {
+      await this.#assertNotCoolingDown(user);
+    }
+
     if (!(await this.#hasPlayablePlaylist(user))) {
       throw new EmptyPlaylistError();
     }
+    await this.#assertAllowedDuration(user);
 
     try {
       const waitlist = /** @type {UserID[]} */ (await this.#uw.redis['uw:addToWaitlist'](...ADD_TO_WAITLIST_SCRIPT.keys, user.id));
+      await this.#uw.redis.hset(REDIS_SESSIONS, user.id, Date.now());
 
       if (isAddingOtherUser) {
         this.#uw.publish('waitlist:add', {
@@ -212,6 +370,11 @@ class Waitlist {
           position: waitlist.indexOf(user.id),
           waitlist,
         });
+        await this.#uw.audit.record('waitlist.add', {
+          moderatorID: moderator.id,
+          userID: user.id,
+          data: { position: waitlist.indexOf(user.id) },
+        });
       } else {
         this.#uw.publish('waitlist:join', {
           userID: user.id,
@@ -257,6 +420,11 @@ class Waitlist {
         position: waitlist.indexOf(user.id),
         waitlist,
       });
+      await this.#uw.audit.record('waitlist.move', {
+        moderatorID: moderator.id,
+        userID: user.id,
+        data: { position: waitlist.indexOf(user.id) },
+      });
     } catch (error) {
       if (error.message === UserNotInWaitlistError.code) {
         throw new UserNotInWaitlistError({ id: user.id });
@@ -286,11 +454,15 @@ class Waitlist {
         requiredRole: 'waitlist.remove',
       });
     }
+    if (isRemoving) {
+      await acl.assertCanModerate(moderator, user);
+    }
 
     const removedCount = await this.#uw.redis.lrem('waitlist', 0, user.id);
     if (removedCount === 0) {
       throw new UserNotInWaitlistError({ id: user.id });
     }
+    await this.#uw.redis.hdel(REDIS_SESSIONS, user.id);
 
     const waitlist = await this.getUserIDs();
     if (isRemoving) {
@@ -299,6 +471,10 @@ class Waitlist {
         moderatorID: moderator.id,
         waitlist,
       });
+      await this.#uw.audit.record('waitlist.remove', {
+        moderatorID: moderator.id,
+        userID: user.id,
+      });
     } else {
       this.#uw.publish('waitlist:leave', {
         userID: user.id,
@@ -312,7 +488,7 @@ class Waitlist {
    * @returns {Promise<void>}
    */
   async clear({ moderator }) {
-    await this.#uw.redis.del('waitlist');
+    await this.#uw.redis.del('waitlist', REDIS_SESSIONS);
 
     const waitlist = await this.getUserIDs();
     if (waitlist.length !== 0) {
@@ -322,6 +498,9 @@ class Waitlist {
     this.#uw.publish('waitlist:clear', {
       moderatorID: moderator.id,
     });
+    await this.#uw.audit.record('waitlist.clear', {
+      moderatorID: moderator.id,
+    });
   }
 
   /**
@@ -331,7 +510,13 @@ class Waitlist {
    */
   async #setWaitlistLocked(lock, moderator) {
     const settings = await this.#getSettings();
-    await this.#uw.config.set(schema['uw:key'], { ...settings, locked: lock }, { user: moderator });
+    await this.#uw.config.set(schema['uw:key'], { ...settings, locked: lock }, {
+      user: moderator,
+      audit: false,
+    });
+    await this.#uw.audit.record(lock ? 'waitlist.lock' : 'waitlist.unlock', {
+      moderatorID: moderator.id,
+    });
   }
 
   /**
@@ -1,5 +1,7 @@
 import type { JsonObject } from 'type-fest'; // eslint-disable-line n/no-missing-import, n/no-unpublished-import
-import type { HistoryEntryID, PlaylistID, UserID } from './schema.js';
+import type {
+  HistoryEntryID, PlaylistID, PlaylistItemID, UserID,
+} from './schema.js';
 
 export type ServerActionParameters = {
   'advance:complete': {
@@ -28,26 +30,68 @@ export type ServerActionParameters = {
     reason: string | null,
   },
 
+  'booth:repeatSkipped': {
+    userID: UserID,
+    playlistID: PlaylistID,
+    /** `'removed'` if nothing was playable and the DJ was removed from the waitlist. */
+    action: 'skip' | 'moveToBottom' | 'removed',
+    itemIDs: PlaylistItemID[],
+    turnSkipped: boolean,
+  },
+
   'chat:message': {
     id: string,
     userID: UserID,
     message: string,
+    mentions: UserID[],
     timestamp: number,
   },
+  'chat:edit': {
+    id: string,
+    userID: UserID,
+    message: string,
+    mentions: UserID[],
+    editedAt: number,
+  },
+  'chat:reaction': {
+    id: string,
+    userID: UserID,
+    reaction: string,
+    added: boolean,
+    reactions: { reaction: string, count: number, userIDs: UserID[] }[],
+  },
   'chat:delete': {
     filter: { id: string } | { userID: UserID } | Record<string, never>,
     moderatorID: UserID | null,
   },
   'chat:mute': {
-    moderatorID: UserID,
+    moderatorID: UserID | null,
     userID: UserID,
+    /** In seconds. */
     duration: number,
+    /** Timestamp in milliseconds. */
+    expiresAt: number,
+    reason: string,
+  },
+  'chat:automod': {
+    userID: UserID,
+    action: 'drop' | 'replace' | 'mute',
+    rules: string[],
+    message: string,
   },
   'chat:unmute': {
     moderatorID: UserID,
     userID: UserID,
   },
 
+  'directMessages:message': {
+    id: string,
+    senderID: UserID,
+    recipientID: UserID,
+    message: string,
+    timestamp: number,
+  },
+
   'configStore:update': {
     key: string,
     user: UserID | null,
@@ -58,10 +102,16 @@ export type ServerActionParameters = {
     userID: UserID,
     direction: 1 | -1,
   },
+  'booth:voteRemoved': {
+    userID: UserID,
+  },
   'booth:favorite': {
     userID: UserID,
     playlistID: PlaylistID,
   },
+  'booth:unfavorite': {
+    userID: UserID,
+  },
   'playlist:cycle': {
     userID: UserID,
     playlistID: PlaylistID,
@@ -99,6 +149,11 @@ export type ServerActionParameters = {
     moderatorID: UserID,
     locked: boolean,
   },
+  'waitlist:playLimit': {
+    userID: UserID,
+    reason: 'session' | 'hourly' | 'cooldown',
+    until: string | null,
+  },
   'acl:allow': {
     userID: UserID,
     roles: string[],
@@ -8,11 +8,16 @@ import { Permissions } from '../plugins/acl.js';
 
 function aclRoutes() {
   return Router()
-    // GET /roles - List available roles.
+    // GET /roles - List available roles, and their ranks from highest to lowest.
     .get(
       '/',
       route(controller.list),
     )
+    // GET /roles/permissions - List all known permissions.
+    .get(
+      '/permissions',
+      route(controller.listPermissions),
+    )
     // PUT /roles/:name - Create a new role.
     .put(
       '/:name',
@@ -20,6 +25,13 @@ function aclRoutes() {
       schema(validations.createAclRole),
       route(controller.createRole),
     )
+    // PATCH /roles/:name - Add or remove permissions from a role.
+    .patch(
+      '/:name',
+      protect(Permissions.AclCreate),
+      schema(validations.updateAclRole),
+      route(controller.updateRole),
+    )
     // DELETE /roles/:name - Delete a new role.
     .delete(
       '/:name',
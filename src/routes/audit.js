@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import route from '../route.js';
+import * as validations from '../validations.js';
+import protect from '../middleware/protect.js';
+import schema from '../middleware/schema.js';
+import * as controller from '../controllers/audit.js';
+import { Permissions } from '../plugins/acl.js';
+
+function auditRoutes() {
+  return Router()
+    // GET /audit/ - List moderation and admin actions, newest first.
+    .get(
+      '/',
+      protect(Permissions.AuditRead),
+      schema(validations.getAuditLog),
+      route(controller.getAuditLog),
+    );
+}
+
+export default auditRoutes;
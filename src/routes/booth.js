@@ -47,11 +47,24 @@ function boothRoutes() {
       schema(validations.favorite),
       route(controller.favorite),
     )
+    // DELETE /booth/favorite - Remove the current play from your favorites.
+    .delete(
+      '/favorite',
+      protect(),
+      schema(validations.unfavorite),
+      route(controller.unfavorite),
+    )
     // GET /booth/history - Get recent plays.
     .get(
       '/history',
       schema(validations.getRoomHistory),
       route(controller.getHistory),
+    )
+    // GET /booth/history/:historyID - Get a single play, including who voted on it.
+    .get(
+      '/history/:historyID',
+      schema(validations.getHistoryEntry),
+      route(controller.getHistoryEntry),
     );
 }
 
@@ -8,6 +8,12 @@ import { Permissions } from '../plugins/acl.js';
 
 function chatRoutes() {
   return Router()
+    // GET /chat/ - List recent chat messages.
+    .get(
+      '/',
+      schema(validations.getChatMessages),
+      route(controller.getMessages),
+    )
     // DELETE /chat/ - Clear the chat (delete all messages).
     .delete(
       '/',
@@ -21,6 +27,20 @@ function chatRoutes() {
       schema(validations.deleteChatByUser),
       route(controller.deleteByUser),
     )
+    // PUT /chat/:id - Edit a chat message.
+    .put(
+      '/:id',
+      protect(),
+      schema(validations.editChatMessage),
+      route(controller.editMessage),
+    )
+    // GET /chat/:id/revisions - List earlier versions of an edited chat message.
+    .get(
+      '/:id/revisions',
+      protect(Permissions.ChatRevisions),
+      schema(validations.getChatMessageRevisions),
+      route(controller.getRevisions),
+    )
     // DELETE /chat/:id - Delete a chat message.
     .delete(
       '/:id',
@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import route from '../route.js';
+import * as validations from '../validations.js';
+import protect from '../middleware/protect.js';
+import schema from '../middleware/schema.js';
+import * as controller from '../controllers/directMessages.js';
+
+function directMessageRoutes() {
+  return Router()
+    // GET /messages/ - Count unread messages per sender.
+    .get(
+      '/',
+      protect(),
+      route(controller.getUnreadCounts),
+    )
+    // GET /messages/:userID - List messages exchanged with a user.
+    .get(
+      '/:userID',
+      protect(),
+      schema(validations.getConversation),
+      route(controller.getConversation),
+    )
+    // POST /messages/:userID - Send a message to a user.
+    .post(
+      '/:userID',
+      protect(),
+      schema(validations.sendDirectMessage),
+      route(controller.sendMessage),
+    )
+    // POST /messages/:userID/read - Mark messages from a user as read.
+    .post(
+      '/:userID/read',
+      protect(),
+      schema(validations.markConversationRead),
+      route(controller.markRead),
+    );
+}
+
+export default directMessageRoutes;
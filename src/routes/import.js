@@ -1,10 +1,22 @@
 import { Router } from 'express';
+import bodyParser from 'body-parser';
 import route from '../route.js';
+import * as validations from '../validations.js';
 import protect from '../middleware/protect.js';
+import schema from '../middleware/schema.js';
 import * as controller from '../controllers/import.js';
 
 function importRoutes() {
   return Router()
+    // POST /import/ - Import a playlist file that was exported from üWave.
+    .post(
+      '/',
+      protect(),
+      // Exported playlist files can be much larger than the usual request.
+      bodyParser.json({ limit: '10mb' }),
+      schema(validations.importPlaylist),
+      route(controller.importPlaylist),
+    )
     // * /import/:source/:action - Call an import source.
     .all(
       '/:source/:action',
@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import route from '../route.js';
+import * as validations from '../validations.js';
+import protect from '../middleware/protect.js';
+import schema from '../middleware/schema.js';
+import * as controller from '../controllers/mutes.js';
+import { Permissions } from '../plugins/acl.js';
+
+function muteRoutes() {
+  return Router()
+    // GET /mutes/ - List active and past mutes.
+    .get(
+      '/',
+      protect(Permissions.ChatMuteList),
+      schema(validations.getMutes),
+      route(controller.getMutes),
+    )
+    // POST /mutes/ - Mute a user in the chat.
+    .post(
+      '/',
+      protect(Permissions.ChatMute),
+      schema(validations.addMute),
+      route(controller.addMute),
+    )
+    // PATCH /mutes/:userID - Change when a user's active mute ends.
+    .patch(
+      '/:userID',
+      protect(Permissions.ChatMute),
+      schema(validations.updateMute),
+      route(controller.updateMute),
+    )
+    // DELETE /mutes/:userID - Unmute a user in the chat.
+    .delete(
+      '/:userID',
+      protect(Permissions.ChatUnmute),
+      schema(validations.removeMute),
+      route(controller.removeMute),
+    );
+}
+
+export default muteRoutes;
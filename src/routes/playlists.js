@@ -54,6 +54,17 @@ function playlistRoutes() {
       '/:id/activate',
       route(controller.activatePlaylist),
     )
+    // GET /playlists/:id/export - Download all playlist items as a JSON, CSV or M3U file.
+    .get(
+      '/:id/export',
+      schema(validations.exportPlaylist),
+      (rawReq, res, next) => {
+        /** @type {import('../types.js').AuthenticatedRequest<any, any>} */
+        // Correct type is guaranteed by the `protect()` and `schema()` middlewares.
+        const req = /** @type {any} */ (rawReq);
+        controller.exportPlaylist(req, res).catch(next);
+      },
+    )
     // GET /playlists/:id/media - Get playlist items.
     .get(
       '/:id/media',
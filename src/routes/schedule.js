@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import route from '../route.js';
+import * as validations from '../validations.js';
+import protect from '../middleware/protect.js';
+import schema from '../middleware/schema.js';
+import * as controller from '../controllers/schedule.js';
+import { Permissions } from '../plugins/acl.js';
+
+function scheduleRoutes() {
+  return Router()
+    // GET /schedule/ - List scheduled jobs.
+    .get(
+      '/',
+      protect(Permissions.ScheduleManage),
+      schema(validations.getScheduledJobs),
+      route(controller.getScheduledJobs),
+    )
+    // POST /schedule/ - Schedule a new job.
+    .post(
+      '/',
+      protect(Permissions.ScheduleManage),
+      schema(validations.createScheduledJob),
+      route(controller.createScheduledJob),
+    )
+    // GET /schedule/:id - Get a single scheduled job.
+    .get(
+      '/:id',
+      protect(Permissions.ScheduleManage),
+      schema(validations.getScheduledJob),
+      route(controller.getScheduledJob),
+    )
+    // PATCH /schedule/:id - Change a scheduled job.
+    .patch(
+      '/:id',
+      protect(Permissions.ScheduleManage),
+      schema(validations.updateScheduledJob),
+      route(controller.updateScheduledJob),
+    )
+    // DELETE /schedule/:id - Cancel a scheduled job.
+    .delete(
+      '/:id',
+      protect(Permissions.ScheduleManage),
+      schema(validations.deleteScheduledJob),
+      route(controller.deleteScheduledJob),
+    );
+}
+
+export default scheduleRoutes;
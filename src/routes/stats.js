@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import route from '../route.js';
+import * as validations from '../validations.js';
+import schema from '../middleware/schema.js';
+import * as controller from '../controllers/stats.js';
+
+function statsRoutes() {
+  return Router()
+    // GET /stats/ - Count plays and DJs.
+    .get(
+      '/',
+      schema(validations.getStats),
+      route(controller.getSummary),
+    )
+    // GET /stats/plays - Count plays and DJs per day.
+    .get(
+      '/plays',
+      schema(validations.getStats),
+      route(controller.getPlaysPerDay),
+    )
+    // GET /stats/media/played - List the most played media.
+    .get(
+      '/media/played',
+      schema(validations.getStatsList),
+      route(controller.getMostPlayedMedia),
+    )
+    // GET /stats/media/upvoted - List the most upvoted media.
+    .get(
+      '/media/upvoted',
+      schema(validations.getStatsList),
+      route(controller.getMostUpvotedMedia),
+    )
+    // GET /stats/djs - List the DJs who received the most upvotes.
+    .get(
+      '/djs',
+      schema(validations.getStatsList),
+      route(controller.getTopDJs),
+    );
+}
+
+export default statsRoutes;
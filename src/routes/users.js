@@ -23,7 +23,7 @@ function userRoutes() {
       route(controller.getUser),
     )
     // POST /users/:id/mute - Mute a user in the chat.
-    // TODO move this to /mutes/ namespace.
+    // Kept for compatibility, new clients should use POST /mutes/.
     .post(
       '/:id/mute',
       protect(Permissions.ChatMute),
@@ -31,13 +31,27 @@ function userRoutes() {
       route(controller.muteUser),
     )
     // DELETE /users/:id/mute - Unmute a user in the chat.
-    // TODO move this to /mutes/ namespace.
+    // Kept for compatibility, new clients should use DELETE /mutes/:userID.
     .delete(
       '/:id/mute',
       protect(Permissions.ChatUnmute),
       schema(validations.unmuteUser),
       route(controller.unmuteUser),
     )
+    // PUT /users/:id/block - Block a user.
+    .put(
+      '/:id/block',
+      protect(),
+      schema(validations.blockUser),
+      route(controller.blockUser),
+    )
+    // DELETE /users/:id/block - Unblock a user.
+    .delete(
+      '/:id/block',
+      protect(),
+      schema(validations.unblockUser),
+      route(controller.unblockUser),
+    )
     // GET /users/:id/roles - List the roles that a user has.
     .get(
       '/:id/roles',
@@ -81,6 +95,18 @@ function userRoutes() {
       '/:id/history',
       schema(validations.getUserHistory),
       route(controller.getHistory),
+    )
+    // GET /users/:id/profile - Show a user's profile with play statistics.
+    .get(
+      '/:id/profile',
+      schema(validations.getUserProfile),
+      route(controller.getProfile),
+    )
+    // GET /users/:id/votes - Show plays that a user voted on.
+    .get(
+      '/:id/votes',
+      schema(validations.getUserVotes),
+      route(controller.getVotes),
     );
 }
 
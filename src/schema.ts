@@ -8,6 +8,8 @@ export type PlaylistID = Tagged<string, 'PlaylistID'>;
 export type PlaylistItemID = Tagged<string, 'PlaylistItemID'>;
 export type HistoryEntryID = Tagged<string, 'HistoryEntryID'>;
 export type Permission = Tagged<string, 'Permission'>;
+export type ScheduledJobID = Tagged<string, 'ScheduledJobID'>;
+export type AuditLogEntryID = Tagged<string, 'AuditLogEntryID'>;
 
 /**
  * The JS type for a given table's rows.
@@ -59,6 +61,7 @@ export interface UserRoleTable {
 export interface RoleTable {
   id: string,
   permissions: JSONB<Permission[]>,
+  rank: Generated<number>,
 }
 
 export type Ban = Selected<BanTable>;
@@ -74,7 +77,9 @@ export interface BanTable {
 export type Mute = Selected<MuteTable>;
 export interface MuteTable {
   userID: UserID,
-  moderatorID: UserID,
+  /** `null` for mutes issued automatically by automod. */
+  moderatorID: UserID | null,
+  reason: Generated<string>,
   expiresAt: Date,
   createdAt: Generated<Date>,
   updatedAt: Generated<Date>,
@@ -140,6 +145,97 @@ export interface FeedbackTable {
   favorite: Generated<0 | 1>,
 }
 
+export type ChatMessage = Selected<ChatMessageTable>;
+export interface ChatMessageTable {
+  /** Random UUID, also used to address the message in socket events. */
+  id: string,
+  userID: UserID,
+  message: string,
+  /** IDs of the users mentioned in the message. */
+  mentions: JSONB<UserID[]>,
+  createdAt: Generated<Date>,
+  /** When the message was last edited, `null` if it was never edited. */
+  editedAt: Date | null,
+}
+
+export type ChatMessageRevision = Selected<ChatMessageRevisionTable>;
+export interface ChatMessageRevisionTable {
+  messageID: string,
+  /** The text of the message before an edit. */
+  message: string,
+  /** When this version of the message was written. */
+  createdAt: Generated<Date>,
+}
+
+export type ChatMessageReaction = Selected<ChatMessageReactionTable>;
+export interface ChatMessageReactionTable {
+  messageID: string,
+  userID: UserID,
+  /** A unicode emoji, or the name of an emote. */
+  reaction: string,
+  createdAt: Generated<Date>,
+}
+
+export type DirectMessage = Selected<DirectMessageTable>;
+export interface DirectMessageTable {
+  id: string,
+  senderID: UserID,
+  recipientID: UserID,
+  message: string,
+  /** When the recipient marked the message as read, `null` while it is unread. */
+  readAt: Date | null,
+  createdAt: Generated<Date>,
+}
+
+export type UserBlock = Selected<UserBlockTable>;
+export interface UserBlockTable {
+  /** The user who blocked someone. */
+  userID: UserID,
+  blockedUserID: UserID,
+  createdAt: Generated<Date>,
+}
+
+export type ScheduledJobAction = 'waitlist.lock' | 'waitlist.unlock' | 'waitlist.clear' | 'motd.set';
+
+export type ScheduledJob = Selected<ScheduledJobTable>;
+export interface ScheduledJobTable {
+  id: ScheduledJobID,
+  action: ScheduledJobAction,
+  /** Action-specific parameters, eg. the new text for `motd.set`. */
+  data: JSONB<JsonObject> | null,
+  /** The next time this job should run. */
+  runAt: Date,
+  /**
+   * Cron expression for recurring jobs. One-off jobs have no recurrence,
+   * and are deleted after they run.
+   */
+  recurrence: string | null,
+  /** The user who scheduled this job. Actions are performed on their behalf. */
+  userID: UserID,
+  lastRunAt: Date | null,
+  createdAt: Generated<Date>,
+  updatedAt: Generated<Date>,
+}
+
+export type AuditAction =
+  | 'users.ban' | 'users.unban'
+  | 'chat.mute' | 'chat.mute.update' | 'chat.unmute' | 'chat.delete'
+  | 'waitlist.add' | 'waitlist.move' | 'waitlist.remove' | 'waitlist.clear'
+  | 'waitlist.lock' | 'waitlist.unlock'
+  | 'booth.skip'
+  | 'roles.grant' | 'roles.revoke'
+  | 'config.set';
+
+export type AuditLogEntry = Selected<AuditLogTable>;
+export interface AuditLogTable {
+  id: AuditLogEntryID,
+  action: AuditAction,
+  moderatorID: UserID,
+  userID: UserID | null,
+  data: JSONB<JsonObject> | null,
+  createdAt: Generated<Date>,
+}
+
 export interface ConfigurationTable {
   name: string,
   value: JSONB<JsonObject>,
@@ -163,6 +259,13 @@ export interface Database {
   playlistItems: PlaylistItemTable,
   historyEntries: HistoryEntryTable,
   feedback: FeedbackTable,
+  chatMessages: ChatMessageTable,
+  chatMessageRevisions: ChatMessageRevisionTable,
+  chatMessageReactions: ChatMessageReactionTable,
+  directMessages: DirectMessageTable,
+  userBlocks: UserBlockTable,
+  scheduledJobs: ScheduledJobTable,
+  auditLog: AuditLogTable,
 }
 
 export type Kysely = KyselyBase<Database>;
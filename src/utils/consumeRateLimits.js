@@ -0,0 +1,76 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * @typedef {object} RateLimit
+ * @prop {string} key - Redis key to keep the attempts in.
+ * @prop {number} max - How many attempts are allowed within `duration`.
+ * @prop {number} duration - Length of the window in milliseconds.
+ */
+
+/**
+ * Check sliding-window rate limits without counting an attempt.
+ *
+ * @param {import('ioredis').default} redis
+ * @param {RateLimit[]} limits
+ * @returns {Promise<number | null>} `null` if an attempt would be allowed, or the number
+ *     of milliseconds to wait otherwise.
+ */
+async function checkRateLimits(redis, limits) {
+  const now = Date.now();
+
+  for (const { key, max, duration } of limits) {
+    const results = await redis.multi()
+      .zremrangebyscore(key, 0, now - duration)
+      .zcard(key)
+      .zrange(key, 0, 0, 'WITHSCORES')
+      .exec();
+    const count = Number(results?.[1][1] ?? 0);
+    if (count >= max) {
+      const oldest = /** @type {string[]} */ (results?.[2][1] ?? []);
+      return Math.max(Number(oldest[1] ?? now) + duration - now, 0);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count an attempt against sliding-window rate limits.
+ *
+ * @param {import('ioredis').default} redis
+ * @param {RateLimit[]} limits
+ * @returns {Promise<void>}
+ */
+async function recordRateLimits(redis, limits) {
+  if (limits.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const multi = redis.multi();
+  for (const { key, duration } of limits) {
+    multi.zadd(key, now, randomUUID()).pexpire(key, duration);
+  }
+  await multi.exec();
+}
+
+/**
+ * Check sliding-window rate limits, and count an attempt against all of them if none
+ * are exceeded. Rejected attempts are not counted, so retrying early does not make
+ * the wait any longer.
+ *
+ * @param {import('ioredis').default} redis
+ * @param {RateLimit[]} limits
+ * @returns {Promise<number | null>} `null` if the attempt is allowed, or the number of
+ *     milliseconds to wait otherwise.
+ */
+async function consumeRateLimits(redis, limits) {
+  const retryAfter = await checkRateLimits(redis, limits);
+  if (retryAfter == null) {
+    await recordRateLimits(redis, limits);
+  }
+  return retryAfter;
+}
+
+export default consumeRateLimits;
+export { checkRateLimits, recordRateLimits };
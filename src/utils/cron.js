@@ -0,0 +1,146 @@
+import { InvalidRecurrenceError } from '../errors/index.js';
+
+/**
+ * A parsed cron expression. All times are in UTC.
+ *
+ * @typedef {object} CronSchedule
+ * @prop {Set<number>} minutes
+ * @prop {Set<number>} hours
+ * @prop {Set<number>} daysOfMonth
+ * @prop {Set<number>} months
+ * @prop {Set<number>} daysOfWeek
+ * @prop {boolean} anyDayOfMonth
+ * @prop {boolean} anyDayOfWeek
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+/** @type {Record<string, string>} */
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+/** Give up looking for the next occurrence after this many days. */
+const MAX_LOOKAHEAD = 5 * 366;
+
+/**
+ * @param {string} expression
+ * @param {string} source
+ * @param {{ name: string, min: number, max: number }} field
+ */
+function parseField(expression, source, { name, min, max }) {
+  /** @type {Set<number>} */
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new InvalidRecurrenceError({ expression, reason: `invalid ${name} "${part}"` });
+    }
+
+    const [, star, rawStart, rawEnd, rawStep] = match;
+    const start = star ? min : parseInt(rawStart, 10);
+    // `5/15` means "every 15 starting at 5", like `5-max/15`.
+    const end = star || (rawStep && !rawEnd) ? max : parseInt(rawEnd ?? rawStart, 10);
+    const step = rawStep ? parseInt(rawStep, 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new InvalidRecurrenceError({ expression, reason: `${name} "${part}" is out of range` });
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression: "minute hour day-of-month month day-of-week".
+ *
+ * Supports `*`, single values, ranges (`1-5`), lists (`1,3`), steps (`*\/15`),
+ * and the `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` shorthands.
+ *
+ * @param {string} expression
+ * @returns {CronSchedule}
+ */
+export function parseCron(expression) {
+  const fields = (ALIASES[expression.trim()] ?? expression).trim().split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new InvalidRecurrenceError({ expression, reason: 'expected 5 fields' });
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+    (source, i) => parseField(expression, source, FIELDS[i]),
+  );
+  // Both 0 and 7 mean Sunday.
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like in standard cron, a step like `*/2` counts as unrestricted, so it has to
+    // match together with the other day field.
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*'),
+  };
+}
+
+/**
+ * @param {CronSchedule} schedule
+ * @param {Date} date
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+  // Like in standard cron, if both day fields are restricted, either one may match.
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the first time matching a cron schedule, strictly after the given date.
+ *
+ * @param {CronSchedule} schedule
+ * @param {Date} after
+ * @returns {Date|null} `null` if the schedule never matches, eg. for February 30th.
+ */
+export function nextCronDate(schedule, after) {
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = date.getTime() + MAX_LOOKAHEAD * 24 * 60 * 60 * 1000;
+  while (date.getTime() < limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
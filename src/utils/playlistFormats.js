@@ -0,0 +1,150 @@
+/**
+ * Formats for exporting playlists out of üWave.
+ *
+ * The JSON format is versioned, so that it can be read back in by üWave servers,
+ * including other instances than the one that exported it.
+ */
+
+/**
+ * @typedef {object} ExportPlaylist
+ * @prop {string} name
+ *
+ * @typedef {object} ExportItem
+ * @prop {string} artist
+ * @prop {string} title
+ * @prop {number} start
+ * @prop {number} end
+ * @prop {{
+ *   sourceType: string,
+ *   sourceID: string,
+ *   artist: string,
+ *   title: string,
+ *   duration: number,
+ *   thumbnail: string,
+ * }} media
+ *
+ * @typedef {object} ExportFormat
+ * @prop {string} extension
+ * @prop {string} contentType
+ * @prop {(playlist: ExportPlaylist, items: AsyncIterable<ExportItem>) => AsyncIterable<string>}
+ *     serialize
+ */
+
+export const PLAYLIST_FORMAT = 'u-wave-playlist';
+export const PLAYLIST_FORMAT_VERSION = 1;
+
+/**
+ * Pick the properties that are part of the export format, in a stable order.
+ *
+ * @param {ExportItem} item
+ */
+export function serializeExportItem(item) {
+  return {
+    artist: item.artist,
+    title: item.title,
+    start: item.start,
+    end: item.end,
+    media: {
+      sourceType: item.media.sourceType,
+      sourceID: item.media.sourceID,
+      artist: item.media.artist,
+      title: item.media.title,
+      duration: item.media.duration,
+      thumbnail: item.media.thumbnail,
+    },
+  };
+}
+
+/**
+ * @param {ExportPlaylist} playlist
+ * @param {AsyncIterable<ExportItem>} items
+ */
+async function* serializeJSON(playlist, items) {
+  const header = JSON.stringify({
+    format: PLAYLIST_FORMAT,
+    version: PLAYLIST_FORMAT_VERSION,
+    name: playlist.name,
+    exportedAt: new Date().toISOString(),
+  });
+  // Leave off the closing brace so the items can be streamed in.
+  yield `${header.slice(0, -1)},"items":[`;
+
+  let first = true;
+  for await (const item of items) {
+    yield `${first ? '' : ','}\n${JSON.stringify(serializeExportItem(item))}`;
+    first = false;
+  }
+
+  yield '\n]}\n';
+}
+
+/**
+ * @param {string|number} value
+ */
+function csvField(value) {
+  const string = String(value);
+  if (/[",\r\n]/.test(string)) {
+    return `"${string.replace(/"/g, '""')}"`;
+  }
+  return string;
+}
+
+/**
+ * @param {ExportPlaylist} _playlist
+ * @param {AsyncIterable<ExportItem>} items
+ */
+async function* serializeCSV(_playlist, items) {
+  yield 'artist,title,start,end,sourceType,sourceID,duration\r\n';
+
+  for await (const item of items) {
+    const fields = [
+      item.artist,
+      item.title,
+      item.start,
+      item.end,
+      item.media.sourceType,
+      item.media.sourceID,
+      item.media.duration,
+    ];
+    yield `${fields.map(csvField).join(',')}\r\n`;
+  }
+}
+
+/**
+ * M3U playlists normally point to files or URLs. üWave media does not have a URL,
+ * so entries are written as `sourceType:sourceID`, for example `youtube:dQw4w9WgXcQ`.
+ *
+ * @param {ExportPlaylist} playlist
+ * @param {AsyncIterable<ExportItem>} items
+ */
+async function* serializeM3U(playlist, items) {
+  /** @param {string} value */
+  const line = (value) => value.replace(/[\r\n]+/g, ' ');
+
+  yield `#EXTM3U\n#PLAYLIST:${line(playlist.name)}\n`;
+
+  for await (const item of items) {
+    const duration = item.end - item.start;
+    yield `#EXTINF:${duration},${line(item.artist)} - ${line(item.title)}\n`;
+    yield `${line(item.media.sourceType)}:${line(item.media.sourceID)}\n`;
+  }
+}
+
+/** @type {Record<'json' | 'csv' | 'm3u', ExportFormat>} */
+export const exportFormats = {
+  json: {
+    extension: 'json',
+    contentType: 'application/json; charset=utf-8',
+    serialize: serializeJSON,
+  },
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    serialize: serializeCSV,
+  },
+  m3u: {
+    extension: 'm3u',
+    contentType: 'audio/x-mpegurl; charset=utf-8',
+    serialize: serializeM3U,
+  },
+};
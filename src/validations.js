@@ -91,6 +91,11 @@ export const passwordReset = /** @type {const} */ ({
 
 // Validations for ACL routes:
 
+// Permission names are not restricted to an `enum` here, because plugins can register
+// permissions with `uw.acl.registerPermission()` after these schemas are compiled.
+// The ACL controllers check them with `acl.validatePermissions()` before doing anything
+// else, so unknown permissions are still rejected with a 400 before any 403 or 404.
+
 export const createAclRole = /** @type {const} */ ({
   params: {
     type: 'object',
@@ -106,11 +111,36 @@ export const createAclRole = /** @type {const} */ ({
         type: 'array',
         items: { type: 'string' },
       },
+      rank: { type: 'integer', minimum: 0 },
     },
     required: ['permissions'],
   },
 });
 
+export const updateAclRole = /** @type {const} */ ({
+  params: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+    },
+    required: ['name'],
+  },
+  body: {
+    type: 'object',
+    properties: {
+      add: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      remove: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+    },
+    minProperties: 1,
+  },
+});
+
 export const deleteAclRole = /** @type {const} */ ({
   params: {
     type: 'object',
@@ -169,7 +199,7 @@ export const vote = /** @type {const} */ ({
   body: {
     type: 'object',
     properties: {
-      direction: { enum: [-1, 1] },
+      direction: { enum: [-1, 0, 1] },
     },
     required: ['direction'],
   },
@@ -186,32 +216,78 @@ export const favorite = /** @type {const} */ ({
   },
 });
 
+export const unfavorite = /** @type {const} */ ({
+  body: {
+    type: 'object',
+    properties: {
+      historyID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+      playlistID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+    },
+    required: ['historyID'],
+  },
+});
+
 export const getRoomHistory = /** @type {const} */ ({
   query: {
-    anyOf: [
-      {
-        oneOf: [
-          { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
-          { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
-        ],
-      },
-      {
+    type: 'object',
+    properties: {
+      filter: {
         type: 'object',
         properties: {
-          filter: {
-            type: 'object',
-            properties: {
-              media: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
-            },
-          },
+          user: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+          media: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+          sourceType: { type: 'string' },
+          sourceID: { type: 'string' },
+          search: { type: 'string', minLength: 1 },
+          from: { type: 'string', format: 'date-time' },
+          to: { type: 'string', format: 'date-time' },
+        },
+        dependentRequired: {
+          sourceType: ['sourceID'],
+          sourceID: ['sourceType'],
         },
       },
-    ],
+      sort: { enum: ['playedAt', 'score'] },
+    },
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+export const getHistoryEntry = /** @type {const} */ ({
+  params: {
+    type: 'object',
+    properties: {
+      historyID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+    },
+    required: ['historyID'],
   },
 });
 
 // Validations for chat routes:
 
+export const getChatMessages = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
 export const deleteChatByUser = /** @type {const} */ ({
   params: {
     type: 'object',
@@ -232,6 +308,68 @@ export const deleteChatMessage = /** @type {const} */ ({
   },
 });
 
+export const editChatMessage = /** @type {const} */ ({
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', minLength: 1 },
+    },
+    required: ['id'],
+  },
+  body: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1 },
+    },
+    required: ['message'],
+  },
+});
+
+export const getChatMessageRevisions = /** @type {const} */ ({
+  params: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', minLength: 1 },
+    },
+    required: ['id'],
+  },
+});
+
+// Validations for import routes:
+
+export const importPlaylist = /** @type {const} */ ({
+  body: {
+    type: 'object',
+    properties: {
+      format: { const: 'u-wave-playlist' },
+      version: { type: 'integer', minimum: 1 },
+      name: { type: 'string', minLength: 1 },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            artist: { type: 'string' },
+            title: { type: 'string' },
+            start: { type: 'number', minimum: 0 },
+            end: { type: 'number', minimum: 0 },
+            media: {
+              type: 'object',
+              properties: {
+                sourceType: { type: 'string', minLength: 1 },
+                sourceID: { type: 'string', minLength: 1 },
+              },
+              required: ['sourceType', 'sourceID'],
+            },
+          },
+          required: ['artist', 'title', 'start', 'end', 'media'],
+        },
+      },
+    },
+    required: ['format', 'version', 'name', 'items'],
+  },
+});
+
 // Validations for MOTD routes:
 
 export const setMotd = /** @type {const} */ ({
@@ -313,6 +451,20 @@ export const renamePlaylist = /** @type {const} */ ({
   },
 });
 
+export const exportPlaylist = /** @type {const} */ ({
+  params: playlistParams,
+  query: {
+    type: 'object',
+    properties: {
+      format: {
+        type: 'string',
+        enum: ['json', 'csv', 'm3u'],
+        default: 'json',
+      },
+    },
+  },
+});
+
 export const getPlaylistItems = /** @type {const} */ ({
   params: playlistParams,
   query: {
@@ -504,6 +656,7 @@ export const muteUser = /** @type {const} */ ({
     type: 'object',
     properties: {
       time: { type: 'integer', minimum: 0 },
+      reason: { type: 'string', maxLength: 500 },
     },
     required: ['time'],
   },
@@ -513,6 +666,62 @@ export const unmuteUser = /** @type {const} */ ({
   params: userParams,
 });
 
+// Validations for mute routes:
+
+const muteParams = /** @type {const} */ ({
+  type: 'object',
+  properties: {
+    userID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+  },
+  required: ['userID'],
+});
+
+export const getMutes = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    properties: {
+      filter: { type: 'string' },
+      status: { enum: ['active', 'expired'] },
+    },
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+export const addMute = /** @type {const} */ ({
+  body: {
+    type: 'object',
+    properties: {
+      userID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+      duration: { type: 'integer', minimum: 1 },
+      reason: { type: 'string', maxLength: 500 },
+    },
+    required: ['userID', 'duration'],
+  },
+});
+
+export const updateMute = /** @type {const} */ ({
+  params: muteParams,
+  body: {
+    type: 'object',
+    properties: {
+      duration: { type: 'integer', minimum: 1 },
+    },
+    required: ['duration'],
+  },
+});
+
+export const removeMute = /** @type {const} */ ({
+  params: muteParams,
+});
+
 export const addUserRole = /** @type {const} */ ({
   params: {
     type: 'object',
@@ -579,6 +788,34 @@ export const getUserHistory = /** @type {const} */ ({
   },
 });
 
+export const getUserProfile = /** @type {const} */ ({
+  params: userParams,
+});
+
+export const getUserVotes = /** @type {const} */ ({
+  params: userParams,
+  query: {
+    type: 'object',
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+export const blockUser = /** @type {const} */ ({
+  params: userParams,
+});
+
+export const unblockUser = /** @type {const} */ ({
+  params: userParams,
+});
+
 // Validations for Waitlist routes:
 
 export const joinWaitlist = /** @type {const} */ ({
@@ -614,3 +851,206 @@ export const lockWaitlist = /** @type {const} */ ({
     required: ['lock'],
   },
 });
+
+// Validations for scheduled job routes:
+
+const scheduledJobParams = /** @type {const} */ ({
+  type: 'object',
+  properties: {
+    id: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+  },
+  required: ['id'],
+});
+
+const scheduledJobAction = /** @type {const} */ ({
+  type: 'string',
+  enum: ['waitlist.lock', 'waitlist.unlock', 'waitlist.clear', 'motd.set'],
+});
+
+export const getScheduledJobs = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+export const getScheduledJob = /** @type {const} */ ({
+  params: scheduledJobParams,
+});
+
+export const createScheduledJob = /** @type {const} */ ({
+  body: {
+    type: 'object',
+    properties: {
+      action: scheduledJobAction,
+      data: { type: 'object' },
+      runAt: { type: 'string', format: 'date-time' },
+      // Cron expression, in UTC.
+      recurrence: { type: 'string', minLength: 1 },
+    },
+    required: ['action'],
+    anyOf: [
+      { required: ['runAt'] },
+      { required: ['recurrence'] },
+    ],
+    if: {
+      properties: { action: { const: 'motd.set' } },
+    },
+    then: {
+      properties: {
+        data: {
+          type: 'object',
+          properties: {
+            // `null` to remove the MOTD.
+            motd: { type: ['string', 'null'] },
+          },
+          required: ['motd'],
+        },
+      },
+      required: ['data'],
+    },
+  },
+});
+
+export const updateScheduledJob = /** @type {const} */ ({
+  params: scheduledJobParams,
+  body: {
+    type: 'object',
+    properties: {
+      action: scheduledJobAction,
+      data: { type: ['object', 'null'] },
+      runAt: { type: 'string', format: 'date-time' },
+      // `null` to make the job run only once.
+      recurrence: { type: ['string', 'null'], minLength: 1 },
+    },
+  },
+});
+
+export const deleteScheduledJob = /** @type {const} */ ({
+  params: scheduledJobParams,
+});
+
+// Validations for audit log routes:
+
+export const getAuditLog = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    properties: {
+      action: {
+        enum: [
+          'users.ban',
+          'users.unban',
+          'chat.mute',
+          'chat.mute.update',
+          'chat.unmute',
+          'chat.delete',
+          'waitlist.add',
+          'waitlist.move',
+          'waitlist.remove',
+          'waitlist.clear',
+          'waitlist.lock',
+          'waitlist.unlock',
+          'booth.skip',
+          'roles.grant',
+          'roles.revoke',
+          'config.set',
+        ],
+      },
+      moderatorID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+      userID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+    },
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+// Validations for statistics routes:
+
+const statsWindow = /** @type {const} */ ({
+  type: 'string',
+  enum: ['24h', '7d', '30d', 'all'],
+  default: '7d',
+});
+
+export const getStats = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    properties: {
+      window: statsWindow,
+    },
+  },
+});
+
+export const getStatsList = /** @type {const} */ ({
+  query: {
+    type: 'object',
+    properties: {
+      window: statsWindow,
+    },
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+// Validations for direct message routes:
+
+const conversationParams = /** @type {const} */ ({
+  type: 'object',
+  properties: {
+    userID: { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/UUID' },
+  },
+  required: ['userID'],
+});
+
+export const getConversation = /** @type {const} */ ({
+  params: conversationParams,
+  query: {
+    type: 'object',
+    if: {
+      properties: { page: true },
+    },
+    then: {
+      oneOf: [
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/Pagination' },
+        { $ref: 'https://ns.u-wave.net/schemas/definitions.json#/definitions/LegacyPagination' },
+      ],
+    },
+  },
+});
+
+export const sendDirectMessage = /** @type {const} */ ({
+  params: conversationParams,
+  body: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', minLength: 1 },
+    },
+    required: ['message'],
+  },
+});
+
+export const markConversationRead = /** @type {const} */ ({
+  params: conversationParams,
+});
@@ -13,6 +13,8 @@ describe('ACL', () => {
     user = await uw.test.createUser();
 
     await uw.acl.createRole('testRole', ['test.perm']);
+    uw.acl.registerPermission('test.permission', { description: 'Test permission.' });
+    uw.acl.registerPermission('test.permission2', { description: 'Another test permission.' });
   });
   afterEach(async () => {
     await uw.destroy();
@@ -76,6 +78,36 @@ describe('ACL', () => {
         testRole2: ['test.permission', 'test.permission2'],
       });
     });
+
+    it('lists roles from the highest rank to the lowest', async () => {
+      await uw.acl.createRole('rankedRole', [], { rank: 70 });
+
+      const res = await supertest(uw.server)
+        .get('/api/roles')
+        .expect(200);
+
+      const names = res.body.meta.hierarchy.map((role) => role.name);
+      assert(names.indexOf('admin') < names.indexOf('rankedRole'));
+      assert(names.indexOf('rankedRole') < names.indexOf('moderator'));
+      sinon.assert.match(res.body.meta.hierarchy[0], { name: 'admin', rank: 100 });
+    });
+  });
+
+  describe('GET /roles/permissions', () => {
+    it('lists built-in and registered permissions', async () => {
+      const res = await supertest(uw.server)
+        .get('/api/roles/permissions')
+        .expect(200);
+
+      sinon.assert.match(res.body.data, sinon.match.some(sinon.match({
+        name: 'waitlist.join',
+        description: sinon.match.string,
+      })));
+      sinon.assert.match(res.body.data, sinon.match.some(sinon.match({
+        name: 'test.permission',
+        description: 'Test permission.',
+      })));
+    });
   });
 
   describe('PUT /roles/:name', () => {
@@ -145,6 +177,16 @@ describe('ACL', () => {
         status: 400,
         code: 'validation-error',
       });
+
+      res = await supertest(uw.server)
+        .put('/api/roles/newRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ permissions: ['test.permission', 'not.a.permission'] })
+        .expect(400);
+      sinon.assert.match(res.body.errors[0], {
+        status: 400,
+        code: 'unknown-permission',
+      });
     });
 
     it('creates a role', async () => {
@@ -165,6 +207,133 @@ describe('ACL', () => {
         permissions: ['test.permission', 'test.permission2'],
       });
     });
+
+    it('refuses ranks at or above the user\'s own', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create'], { rank: 50 });
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      let res = await supertest(uw.server)
+        .put('/api/roles/newRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ permissions: [], rank: 50 })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'insufficient-rank' });
+
+      res = await supertest(uw.server)
+        .put('/api/roles/admin')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ permissions: [] })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'insufficient-rank' });
+
+      await supertest(uw.server)
+        .put('/api/roles/newRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ permissions: [], rank: 49 })
+        .expect(201);
+    });
+  });
+
+  describe('PATCH /roles/:name', () => {
+    it('requires the acl.create role', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      await supertest(uw.server)
+        .patch('/api/roles/testRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['test.permission'] })
+        .expect(403);
+    });
+
+    it('adds and removes permissions', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create'], { rank: 50 });
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      const res = await supertest(uw.server)
+        .patch('/api/roles/testRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['test.permission', 'test.permission2'], remove: ['test.perm'] })
+        .expect(200);
+      sinon.assert.match(res.body.data, {
+        name: 'testRole',
+        permissions: ['test.permission', 'test.permission2'],
+      });
+
+      const roles = await uw.acl.getAllRoles();
+      assert.deepStrictEqual(roles.testRole, ['test.permission', 'test.permission2']);
+    });
+
+    it('rejects unknown permissions', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create']);
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      const res = await supertest(uw.server)
+        .patch('/api/roles/testRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['not.a.permission'] })
+        .expect(400);
+      sinon.assert.match(res.body.errors[0], { code: 'unknown-permission' });
+    });
+
+    it('rejects unknown permissions before looking up the role', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create']);
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      const res = await supertest(uw.server)
+        .patch('/api/roles/nonexistentRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['not.a.permission'] })
+        .expect(400);
+      sinon.assert.match(res.body.errors[0], { code: 'unknown-permission' });
+    });
+
+    it('refuses to change roles that outrank the user', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create'], { rank: 50 });
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      const res = await supertest(uw.server)
+        .patch('/api/roles/admin')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['test.permission'] })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'insufficient-rank' });
+
+      const roles = await uw.acl.getAllRoles();
+      assert(!roles.admin.includes('test.permission'));
+    });
+
+    it('refuses to change roles of the same rank as the user', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create'], { rank: 50 });
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      const res = await supertest(uw.server)
+        .patch('/api/roles/roleAuthor')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['acl.delete'] })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'insufficient-rank' });
+
+      const roles = await uw.acl.getAllRoles();
+      assert.deepStrictEqual(roles.roleAuthor, ['acl.create']);
+    });
+
+    it('returns 404 for nonexistent roles', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('roleAuthor', ['acl.create']);
+      await uw.acl.allow(user, ['roleAuthor']);
+
+      await supertest(uw.server)
+        .patch('/api/roles/nonexistentRole')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ add: ['test.permission'] })
+        .expect(404);
+    });
   });
 
   describe('DELETE /roles/:name', () => {
@@ -0,0 +1,123 @@
+import assert from 'assert';
+import * as sinon from 'sinon';
+import supertest from 'supertest';
+import ms from 'ms';
+import createUwave from './utils/createUwave.mjs';
+
+describe('Audit log', () => {
+  let uw;
+  beforeEach(async () => {
+    uw = await createUwave('audit');
+  });
+  afterEach(async () => {
+    await uw.destroy();
+  });
+
+  async function createAuditor() {
+    const user = await uw.test.createUser();
+    await uw.acl.createRole('auditor', ['audit.read']);
+    await uw.acl.allow(user, ['auditor']);
+    const token = await uw.test.createTestSessionToken(user);
+    return { user, token };
+  }
+
+  describe('GET /audit', () => {
+    it('requires the audit.read permission', async () => {
+      await supertest(uw.server)
+        .get('/api/audit')
+        .expect(401);
+
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      await supertest(uw.server)
+        .get('/api/audit')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+    });
+
+    it('lists moderation actions, newest first', async () => {
+      const { user: moderator, token } = await createAuditor();
+      const user = await uw.test.createUser();
+
+      await uw.bans.ban(user, {
+        moderator,
+        duration: ms('1 hour'),
+        reason: 'spamming',
+      });
+      await uw.bans.unban(user.id, { moderator });
+
+      const res = await supertest(uw.server)
+        .get('/api/audit')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        sinon.match({ action: 'users.unban', moderator: moderator.id, user: user.id }),
+        sinon.match({
+          action: 'users.ban',
+          moderator: moderator.id,
+          user: user.id,
+          data: sinon.match({ reason: 'spamming', permanent: false }),
+        }),
+      ]);
+      sinon.assert.match(res.body.included.user, sinon.match.some(sinon.match({
+        _id: user.id,
+      })));
+    });
+
+    it('can filter by action and user', async () => {
+      const { user: moderator, token } = await createAuditor();
+      const user = await uw.test.createUser();
+      const otherUser = await uw.test.createUser();
+
+      await uw.chat.mute(user, 60, { moderator });
+      await uw.chat.mute(otherUser, 60, { moderator });
+      await uw.chat.unmute(user, { moderator });
+
+      const byAction = await supertest(uw.server)
+        .get('/api/audit')
+        .query({ action: 'chat.mute' })
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.strictEqual(byAction.body.data.length, 2);
+
+      const byUser = await supertest(uw.server)
+        .get('/api/audit')
+        .query({ userID: user.id })
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(byUser.body.data, [
+        sinon.match({ action: 'chat.unmute' }),
+        sinon.match({ action: 'chat.mute', data: { duration: 60 } }),
+      ]);
+    });
+
+    it('does not record config values', async () => {
+      const { user: moderator, token } = await createAuditor();
+
+      await uw.config.set('u-wave:socialAuth', {
+        google: {
+          enabled: true,
+          clientID: 'TEST ID',
+          clientSecret: 'TEST SECRET',
+        },
+      }, { user: moderator });
+
+      const res = await supertest(uw.server)
+        .get('/api/audit')
+        .query({ action: 'config.set' })
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(res.body.data, [
+        sinon.match({
+          moderator: moderator.id,
+          data: {
+            key: 'u-wave:socialAuth',
+            changed: ['google.enabled', 'google.clientID', 'google.clientSecret'],
+          },
+        }),
+      ]);
+      assert(!JSON.stringify(res.body).includes('TEST SECRET'));
+    });
+  });
+});
@@ -39,6 +39,18 @@ describe('Bans', () => {
       await uw.bans.unban(user.id, { moderator });
       assert.strictEqual(await uw.bans.isBanned(user), false);
     });
+
+    it('refuses to ban users who outrank the moderator', async () => {
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      await uw.acl.allow(user, ['admin']);
+
+      await assert.rejects(
+        uw.bans.ban(user, { moderator, duration: ms('10 hours') }),
+        { code: 'insufficient-rank' },
+      );
+      assert.strictEqual(await uw.bans.isBanned(user), false);
+    });
   });
 
   describe('GET /bans', () => {
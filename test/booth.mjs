@@ -58,6 +58,103 @@ describe('Booth', () => {
 
       ws.close();
     });
+
+    async function prepareDJ(sourceID) {
+      const user = await uw.test.createUser();
+      await uw.acl.allow(user, ['user']);
+
+      const { playlist } = await uw.playlists.createPlaylist(user, { name: 'booth' });
+      const item = await uw.source('test-source').getOne(user, sourceID);
+      await uw.playlists.addPlaylistItems(playlist, [item]);
+
+      const token = await uw.test.createTestSessionToken(user);
+      const ws = await uw.test.connectToWebSocketAs(user);
+      return {
+        user,
+        playlist,
+        token,
+        ws,
+      };
+    }
+
+    it('truncates plays that are longer than the maximum duration', async () => {
+      uw.source(testSource);
+      await uw.config.set('u-wave:booth', {
+        maxDuration: { duration: 30, policy: 'truncate' },
+      });
+
+      const { user, token, ws } = await prepareDJ('LONG');
+      await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: user.id })
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .get('/api/booth')
+        .expect(200);
+      sinon.assert.match(res.body.data.media, { start: 0, end: 30 });
+
+      ws.close();
+    });
+
+    it('rejects joining with media that is longer than the maximum duration', async () => {
+      uw.source(testSource);
+      await uw.config.set('u-wave:booth', {
+        maxDuration: { duration: 30, policy: 'reject' },
+      });
+
+      const { user, token, ws } = await prepareDJ('LONG');
+      const res = await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: user.id })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'media-too-long' });
+
+      ws.close();
+    });
+
+    it('passes over recently played media', async () => {
+      uw.source(testSource);
+      await uw.config.set('u-wave:booth', {
+        noRepeat: { plays: 1, action: 'skip' },
+      });
+
+      const {
+        user,
+        playlist,
+        token,
+        ws,
+      } = await prepareDJ('FIRST');
+      const second = await uw.source('test-source').getOne(user, 'SECOND');
+      await uw.playlists.addPlaylistItems(playlist, [second]);
+
+      await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: user.id })
+        .expect(200);
+
+      // Put the media that was just played back at the top.
+      const { playlistItem: played } = await uw.playlists.getPlaylistItemAt(playlist, 1);
+      await uw.playlists.movePlaylistItems(playlist, [played.id], { at: 'start' });
+
+      await uw.booth.advance();
+
+      const res = await supertest(uw.server)
+        .get('/api/booth')
+        .expect(200);
+      sinon.assert.match(res.body.data, {
+        media: sinon.match.hasNested('media.sourceID', 'SECOND'),
+      });
+
+      // The recently played media stays at the top.
+      const { playlistItem: first } = await uw.playlists.getPlaylistItemAt(playlist, 0);
+      assert.strictEqual(first.id, played.id);
+
+      ws.close();
+    });
   });
 
   describe('PUT /booth/:historyID/vote', () => {
@@ -91,7 +188,7 @@ describe('Booth', () => {
       await supertest(uw.server)
         .put(`/api/booth/${unknownHistoryID}/vote`)
         .set('Cookie', `uwsession=${token}`)
-        .send({ direction: 0 })
+        .send({ direction: 2 })
         .expect(400);
 
       // These inputs are formatted correctly, but we still expect a 412 because
@@ -184,6 +281,157 @@ describe('Booth', () => {
 
       djWs.close();
     });
+
+    it('can retract votes', async () => {
+      uw.source(testSource);
+
+      const dj = await uw.test.createUser();
+      const user = await uw.test.createUser();
+
+      await uw.acl.allow(dj, ['user']);
+
+      const token = await uw.test.createTestSessionToken(user);
+      const ws = await uw.test.connectToWebSocketAs(user);
+      const receivedMessages = [];
+      ws.on('message', (data, isBinary) => {
+        receivedMessages.push(JSON.parse(isBinary ? data.toString() : data));
+      });
+
+      const { playlist } = await uw.playlists.createPlaylist(dj, { name: 'vote' });
+      {
+        const item = await uw.source('test-source').getOne(dj, 'FOR_VOTE');
+        await uw.playlists.addPlaylistItems(playlist, [item]);
+      }
+
+      const djWs = await uw.test.connectToWebSocketAs(dj);
+      {
+        const djToken = await uw.test.createTestSessionToken(dj);
+        await supertest(uw.server)
+          .post('/api/waitlist')
+          .set('Cookie', `uwsession=${djToken}`)
+          .send({ userID: dj.id })
+          .expect(200);
+      }
+
+      const { body } = await supertest(uw.server)
+        .get('/api/now')
+        .expect(200);
+      const { historyID } = body.booth;
+
+      await supertest(uw.server)
+        .put(`/api/booth/${historyID}/vote`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ direction: 1 })
+        .expect(200);
+
+      await supertest(uw.server)
+        .put(`/api/booth/${historyID}/vote`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ direction: 0 })
+        .expect(200);
+
+      await retryFor(500, () => {
+        assert(receivedMessages.some((message) => message.command === 'voteRemoved' && message.data._id === user.id));
+      });
+
+      const vote = await supertest(uw.server)
+        .get(`/api/booth/${historyID}/vote`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.strictEqual(vote.body.data.direction, 0);
+
+      // Retracting again does nothing.
+      receivedMessages.length = 0;
+      ws.send(JSON.stringify({ command: 'vote', data: 0 }));
+      await delay(200);
+      assert(
+        !receivedMessages.some((message) => message.command === 'voteRemoved'),
+        'should not have re-emitted the removal',
+      );
+
+      // Voting over the socket and retracting works too.
+      ws.send(JSON.stringify({ command: 'vote', data: -1 }));
+      await retryFor(500, () => {
+        assert(receivedMessages.some((message) => message.command === 'vote' && message.data.value === -1));
+      });
+      ws.send(JSON.stringify({ command: 'vote', data: 0 }));
+      await retryFor(500, () => {
+        assert(receivedMessages.some((message) => message.command === 'voteRemoved'));
+      });
+
+      djWs.close();
+    });
+
+    it('skips when the downvote threshold is reached', async () => {
+      uw.source(testSource);
+
+      await uw.config.set('u-wave:booth', {
+        voteSkip: { enabled: true, downvoteCount: 2, downvoteRatio: null },
+      });
+
+      const dj = await uw.test.createUser();
+      const voters = [await uw.test.createUser(), await uw.test.createUser()];
+
+      await uw.acl.allow(dj, ['user']);
+
+      const ws = await uw.test.connectToWebSocketAs(voters[0]);
+      const receivedMessages = [];
+      ws.on('message', (data, isBinary) => {
+        receivedMessages.push(JSON.parse(isBinary ? data.toString() : data));
+      });
+
+      const { playlist } = await uw.playlists.createPlaylist(dj, { name: 'vote' });
+      {
+        const item = await uw.source('test-source').getOne(dj, 'FOR_VOTE');
+        await uw.playlists.addPlaylistItems(playlist, [item]);
+      }
+
+      const djWs = await uw.test.connectToWebSocketAs(dj);
+      {
+        const djToken = await uw.test.createTestSessionToken(dj);
+        await supertest(uw.server)
+          .post('/api/waitlist')
+          .set('Cookie', `uwsession=${djToken}`)
+          .send({ userID: dj.id })
+          .expect(200);
+      }
+
+      const { body } = await supertest(uw.server)
+        .get('/api/now')
+        .expect(200);
+      const { historyID } = body.booth;
+
+      await supertest(uw.server)
+        .put(`/api/booth/${historyID}/vote`)
+        .set('Cookie', `uwsession=${await uw.test.createTestSessionToken(voters[0])}`)
+        .send({ direction: -1 })
+        .expect(200);
+
+      await delay(200);
+      assert(
+        !receivedMessages.some((message) => message.command === 'skip'),
+        'should not skip before the threshold is reached',
+      );
+
+      await supertest(uw.server)
+        .put(`/api/booth/${historyID}/vote`)
+        .set('Cookie', `uwsession=${await uw.test.createTestSessionToken(voters[1])}`)
+        .send({ direction: -1 })
+        .expect(200);
+
+      await retryFor(500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'skip',
+          data: sinon.match({
+            moderatorID: null,
+            userID: dj.id,
+            reason: 'downvotes',
+          }),
+        })));
+      });
+
+      djWs.close();
+    });
   });
 
   describe('GET /booth/history', () => {
@@ -240,6 +488,258 @@ describe('Booth', () => {
 
       ws.close();
     });
+
+    async function insertPlay(user, { sourceID, artist, title }, { ago = 0, votes = [] } = {}) {
+      let media = await uw.db.selectFrom('media')
+        .where('sourceType', '=', 'test-source')
+        .where('sourceID', '=', sourceID)
+        .select(['id'])
+        .executeTakeFirst();
+      if (!media) {
+        media = { id: randomUUID() };
+        await uw.db.insertInto('media')
+          .values({
+            id: media.id,
+            sourceType: 'test-source',
+            sourceID,
+            artist,
+            title,
+            duration: 60,
+            thumbnail: '',
+          })
+          .execute();
+      }
+
+      const id = randomUUID();
+      await uw.db.insertInto('historyEntries')
+        .values({
+          id,
+          userID: user.id,
+          mediaID: media.id,
+          artist,
+          title,
+          start: 0,
+          end: 60,
+          createdAt: new Date(Date.now() - ago),
+        })
+        .execute();
+      for (const vote of votes) {
+        await uw.db.insertInto('feedback')
+          .values({ historyEntryID: id, ...vote })
+          .execute();
+      }
+      return id;
+    }
+
+    it('can filter plays', async () => {
+      const user = await uw.test.createUser();
+      const otherUser = await uw.test.createUser();
+      const song = { sourceID: 'SONG', artist: 'The Band', title: 'Song' };
+      const other = { sourceID: 'OTHER', artist: 'Other Band', title: 'Tune' };
+
+      const old = await insertPlay(user, song, { ago: 48 * 60 * 60 * 1000 });
+      const recent = await insertPlay(user, other, { ago: 60 * 60 * 1000 });
+      const byOther = await insertPlay(otherUser, song);
+
+      const byUser = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { user: otherUser.id } })
+        .expect(200);
+      sinon.assert.match(byUser.body.data, [sinon.match({ _id: byOther })]);
+
+      const bySource = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { sourceType: 'test-source', sourceID: 'SONG' } })
+        .expect(200);
+      sinon.assert.match(bySource.body.data, [
+        sinon.match({ _id: byOther }),
+        sinon.match({ _id: old }),
+      ]);
+      sinon.assert.match(bySource.body.meta, { total: 3, results: 2 });
+
+      const bySearch = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { search: 'other' } })
+        .expect(200);
+      sinon.assert.match(bySearch.body.data, [sinon.match({ _id: recent })]);
+
+      const byDate = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({
+          filter: {
+            from: new Date(Date.now() - 72 * 60 * 60 * 1000).toISOString(),
+            to: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+          },
+        })
+        .expect(200);
+      sinon.assert.match(byDate.body.data, [sinon.match({ _id: old })]);
+
+      await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { sourceType: 'test-source' } })
+        .expect(400);
+    });
+
+    it('searches for wildcard characters literally', async () => {
+      const user = await uw.test.createUser();
+      const percent = await insertPlay(user, { sourceID: 'PERCENT', artist: 'Band', title: '100% Pure' });
+      await insertPlay(user, { sourceID: 'PLAIN', artist: 'Band', title: '1000 Pure' });
+      const underscore = await insertPlay(user, { sourceID: 'UNDERSCORE', artist: 'a_b', title: 'Song' });
+      await insertPlay(user, { sourceID: 'AXB', artist: 'axb', title: 'Song' });
+
+      const byPercent = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { search: '100%' } })
+        .expect(200);
+      sinon.assert.match(byPercent.body.data, [sinon.match({ _id: percent })]);
+
+      const byUnderscore = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ filter: { search: 'a_b' } })
+        .expect(200);
+      sinon.assert.match(byUnderscore.body.data, [sinon.match({ _id: underscore })]);
+    });
+
+    it('can sort plays by score', async () => {
+      const user = await uw.test.createUser();
+      const voter = await uw.test.createUser();
+      const otherVoter = await uw.test.createUser();
+      const song = { sourceID: 'SONG', artist: 'The Band', title: 'Song' };
+
+      const liked = await insertPlay(user, song, {
+        ago: 3000,
+        votes: [{ userID: voter.id, vote: 1 }, { userID: otherVoter.id, vote: 1 }],
+      });
+      const disliked = await insertPlay(user, song, {
+        ago: 2000,
+        votes: [{ userID: voter.id, vote: -1 }],
+      });
+      const unvoted = await insertPlay(user, song, { ago: 1000 });
+
+      const res = await supertest(uw.server)
+        .get('/api/booth/history')
+        .query({ sort: 'score' })
+        .expect(200);
+      sinon.assert.match(res.body.data, [
+        sinon.match({ _id: liked }),
+        sinon.match({ _id: unvoted }),
+        sinon.match({ _id: disliked }),
+      ]);
+    });
+  });
+
+  describe('GET /booth/history/:historyID', () => {
+    let uw;
+    beforeEach(async () => {
+      uw = await createUwave('booth');
+    });
+    afterEach(async () => {
+      await uw.destroy();
+    });
+
+    it('returns 404 for unknown plays', async () => {
+      await supertest(uw.server)
+        .get(`/api/booth/history/${randomUUID()}`)
+        .expect(404);
+    });
+
+    async function insertVotedPlay() {
+      const dj = await uw.test.createUser();
+      const fan = await uw.test.createUser();
+      const critic = await uw.test.createUser();
+
+      const mediaID = randomUUID();
+      await uw.db.insertInto('media')
+        .values({
+          id: mediaID,
+          sourceType: 'test-source',
+          sourceID: 'VOTES',
+          artist: 'artist',
+          title: 'title',
+          duration: 60,
+          thumbnail: '',
+        })
+        .execute();
+
+      const historyID = randomUUID();
+      await uw.db.insertInto('historyEntries')
+        .values({
+          id: historyID,
+          userID: dj.id,
+          mediaID,
+          artist: 'artist',
+          title: 'title',
+          start: 0,
+          end: 60,
+        })
+        .execute();
+      await uw.db.insertInto('feedback')
+        .values([
+          {
+            historyEntryID: historyID,
+            userID: fan.id,
+            vote: 1,
+            favorite: 1,
+          },
+          { historyEntryID: historyID, userID: critic.id, vote: -1 },
+        ])
+        .execute();
+
+      return {
+        historyID, dj, fan, critic,
+      };
+    }
+
+    it('returns the votes on a past play', async () => {
+      const {
+        historyID, dj, fan, critic,
+      } = await insertVotedPlay();
+      await uw.config.set('u-wave:booth', {
+        voteHistory: { public: true },
+      });
+
+      const res = await supertest(uw.server)
+        .get(`/api/booth/history/${historyID}`)
+        .expect(200);
+
+      sinon.assert.match(res.body.data, {
+        _id: historyID,
+        user: sinon.match({ _id: dj.id }),
+        upvotes: [fan.id],
+        downvotes: [critic.id],
+        favorites: [fan.id],
+      });
+    });
+
+    it('only returns vote counts if vote history is private', async () => {
+      const { historyID, fan, critic } = await insertVotedPlay();
+
+      const res = await supertest(uw.server)
+        .get(`/api/booth/history/${historyID}`)
+        .expect(200);
+      sinon.assert.match(res.body.data, {
+        upvotes: [],
+        downvotes: [],
+        favorites: [],
+        upvoteCount: 1,
+        downvoteCount: 1,
+        favoriteCount: 1,
+      });
+
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      const token = await uw.test.createTestSessionToken(moderator);
+
+      const modRes = await supertest(uw.server)
+        .get(`/api/booth/history/${historyID}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(modRes.body.data, {
+        upvotes: [fan.id],
+        downvotes: [critic.id],
+        favorites: [fan.id],
+      });
+    });
   });
 
   describe('POST /booth/favorite', () => {
@@ -445,4 +945,163 @@ describe('Booth', () => {
       });
     });
   });
+
+  describe('DELETE /booth/favorite', () => {
+    let uw;
+    beforeEach(async () => {
+      uw = await createUwave('booth');
+    });
+    afterEach(async () => {
+      await uw.destroy();
+    });
+
+    it('requires authentication', async () => {
+      await supertest(uw.server)
+        .delete('/api/booth/favorite')
+        .send({ historyID: randomUUID() })
+        .expect(401);
+    });
+
+    it('clears the favorite and optionally removes the playlist item', async () => {
+      uw.source(testSource);
+
+      const dj = await uw.test.createUser();
+      await uw.acl.allow(dj, ['user']);
+      const favoriter = await uw.test.createUser();
+
+      const token = await uw.test.createTestSessionToken(dj);
+      const { playlist } = await uw.playlists.createPlaylist(dj, { name: 'booth' });
+      const item = await uw.source('test-source').getOne(dj, 'UNFAVORITE');
+      await uw.playlists.addPlaylistItems(playlist, [item]);
+      const ws = await uw.test.connectToWebSocketAs(dj);
+      const receivedMessages = [];
+      ws.on('message', (data, isBinary) => {
+        receivedMessages.push(JSON.parse(isBinary ? data.toString() : data));
+      });
+
+      const favoriterToken = await uw.test.createTestSessionToken(favoriter);
+      const { playlist: favoriterPlaylist } = await uw.playlists.createPlaylist(favoriter, { name: 'favorites' });
+      await uw.playlists.addPlaylistItems(favoriterPlaylist, await uw.source('test-source').get(favoriter, ['ALREADY']));
+
+      await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: dj.id })
+        .expect(200);
+
+      const { body: booth } = await supertest(uw.server)
+        .get('/api/booth')
+        .expect(200);
+
+      await supertest(uw.server)
+        .post('/api/booth/favorite')
+        .set('Cookie', `uwsession=${favoriterToken}`)
+        .send({ playlistID: favoriterPlaylist.id, historyID: booth.data.historyID })
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .delete('/api/booth/favorite')
+        .set('Cookie', `uwsession=${favoriterToken}`)
+        .send({ playlistID: favoriterPlaylist.id, historyID: booth.data.historyID })
+        .expect(200);
+      sinon.assert.match(res.body.data, { removed: [sinon.match.string] });
+
+      const mediaRes = await supertest(uw.server)
+        .get(`/api/playlists/${favoriterPlaylist.id}/media`)
+        .set('Cookie', `uwsession=${favoriterToken}`)
+        .expect(200);
+      sinon.assert.match(mediaRes.body.data, [
+        sinon.match({ artist: 'artist ALREADY' }),
+      ]);
+
+      await retryFor(500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'unfavorite',
+          data: { userID: favoriter.id },
+        })));
+      });
+
+      const { body: stats } = await supertest(uw.server)
+        .get('/api/booth')
+        .expect(200);
+      assert.deepStrictEqual(stats.data.stats.favorites, []);
+    });
+
+    it('only unfavorites the current play', async () => {
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      const mediaID = randomUUID();
+      await uw.db.insertInto('media')
+        .values({
+          id: mediaID,
+          sourceType: 'test-source',
+          sourceID: 'PAST',
+          artist: 'artist',
+          title: 'title',
+          duration: 60,
+          thumbnail: '',
+        })
+        .execute();
+      const historyID = randomUUID();
+      await uw.db.insertInto('historyEntries')
+        .values({
+          id: historyID,
+          userID: user.id,
+          mediaID,
+          artist: 'artist',
+          title: 'title',
+          start: 0,
+          end: 60,
+        })
+        .execute();
+
+      await supertest(uw.server)
+        .delete('/api/booth/favorite')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ historyID })
+        .expect(412);
+    });
+
+    it('leaves the playlist alone if the play was not favorited', async () => {
+      uw.source(testSource);
+
+      const dj = await uw.test.createUser();
+      await uw.acl.allow(dj, ['user']);
+      const user = await uw.test.createUser();
+
+      const token = await uw.test.createTestSessionToken(dj);
+      const { playlist } = await uw.playlists.createPlaylist(dj, { name: 'booth' });
+      await uw.playlists.addPlaylistItems(playlist, [await uw.source('test-source').getOne(dj, 'SAME')]);
+
+      const userToken = await uw.test.createTestSessionToken(user);
+      const { playlist: userPlaylist } = await uw.playlists.createPlaylist(user, { name: 'mine' });
+      await uw.playlists.addPlaylistItems(userPlaylist, await uw.source('test-source').get(user, ['SAME']));
+
+      await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: dj.id })
+        .expect(200);
+
+      const { body: booth } = await supertest(uw.server)
+        .get('/api/booth')
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .delete('/api/booth/favorite')
+        .set('Cookie', `uwsession=${userToken}`)
+        .send({ playlistID: userPlaylist.id, historyID: booth.data.historyID })
+        .expect(200);
+      assert.deepStrictEqual(res.body.data, { removed: [] });
+
+      const mediaRes = await supertest(uw.server)
+        .get(`/api/playlists/${userPlaylist.id}/media`)
+        .set('Cookie', `uwsession=${userToken}`)
+        .expect(200);
+      sinon.assert.match(mediaRes.body.data, [
+        sinon.match({ artist: 'artist SAME' }),
+      ]);
+    });
+  });
 });
@@ -1,5 +1,6 @@
 import { randomUUID } from 'crypto';
 import assert from 'assert';
+import delay from 'delay';
 import * as sinon from 'sinon';
 import supertest from 'supertest';
 import createUwave from './utils/createUwave.mjs';
@@ -64,6 +65,457 @@ describe('Chat', () => {
     });
   });
 
+  describe('Slow mode', () => {
+    it('tells users when they may chat again', async () => {
+      await uw.config.set('u-wave:chat', { slowMode: 60 });
+
+      const user = await uw.test.createUser();
+      const ws = await uw.test.connectToWebSocketAs(user);
+
+      const receivedMessages = [];
+      ws.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      ws.send(JSON.stringify({ command: 'sendChat', data: 'first' }));
+      await retryFor(1500, () => {
+        assert(receivedMessages.some((message) => message.command === 'chatMessage' && message.data.message === 'first'));
+      });
+
+      ws.send(JSON.stringify({ command: 'sendChat', data: 'second' }));
+      await retryFor(1500, () => {
+        assert(receivedMessages.some((message) => message.command === 'error' && /chat again in/.test(message.data)));
+      });
+      assert(!receivedMessages.some((message) => message.command === 'chatMessage' && message.data.message === 'second'));
+    });
+
+    it('limits bursts of messages', async () => {
+      await uw.config.set('u-wave:chat', { burst: { messages: 2, seconds: 10 } });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'one');
+      await uw.chat.send(user, 'two');
+      await assert.rejects(uw.chat.send(user, 'three'), {
+        code: 'chat-rate-limit',
+      });
+    });
+
+    it('does not count rejected messages', async () => {
+      await uw.config.set('u-wave:chat', { slowMode: 1 });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'one');
+      await delay(600);
+      await assert.rejects(uw.chat.send(user, 'too soon'), {
+        code: 'chat-rate-limit',
+      });
+      // The wait started with the first message, not the rejected one.
+      await delay(500);
+      await uw.chat.send(user, 'two');
+
+      const { data } = await uw.chat.getMessages();
+      assert.deepStrictEqual(data.map((message) => message.message), ['two', 'one']);
+    });
+
+    it('does not count messages dropped by automod', async () => {
+      await uw.config.set('u-wave:chat', { slowMode: 60 });
+      await uw.config.set('u-wave:automod', { blockedWords: ['heck'] });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'what the heck');
+      await uw.chat.send(user, 'sorry');
+
+      const { data } = await uw.chat.getMessages();
+      assert.deepStrictEqual(data.map((message) => message.message), ['sorry']);
+    });
+
+    it('does not apply to exempt users', async () => {
+      await uw.config.set('u-wave:chat', { slowMode: 60 });
+
+      const user = await uw.test.createUser();
+      await uw.acl.allow(user, ['moderator']);
+      await uw.chat.send(user, 'one');
+      await uw.chat.send(user, 'two');
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+      assert.strictEqual(res.body.data.length, 2);
+    });
+  });
+
+  describe('Automod', () => {
+    async function getMessages() {
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+      return res.body.data.map((message) => message.message);
+    }
+
+    it('drops messages with blocked words', async () => {
+      await uw.config.set('u-wave:automod', { blockedWords: ['heck'] });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'what the HECK');
+      await uw.chat.send(user, 'checkmate');
+
+      assert.deepStrictEqual(await getMessages(), ['checkmate']);
+    });
+
+    it('can replace blocked patterns with asterisks', async () => {
+      await uw.config.set('u-wave:automod', { blockedPatterns: ['fo+'], action: 'replace' });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'a fooo walks into a bar');
+
+      assert.deepStrictEqual(await getMessages(), ['a **** walks into a bar']);
+    });
+
+    it('blocks links for users without the chat.links permission', async () => {
+      await uw.config.set('u-wave:automod', { blockLinks: true, action: 'replace' });
+
+      const user = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      await uw.chat.send(user, 'see https://example.com');
+      await uw.chat.send(moderator, 'see https://u-wave.net');
+
+      assert.deepStrictEqual(await getMessages(), [
+        'see https://u-wave.net',
+        'see *******************',
+      ]);
+    });
+
+    it('tones down caps and repeated characters', async () => {
+      await uw.config.set('u-wave:automod', {
+        caps: { enabled: true },
+        repeatedCharacters: { enabled: true, max: 3 },
+        action: 'replace',
+      });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'THIS SONG IS GREAT');
+      await uw.chat.send(user, 'nooooooo');
+      await uw.chat.send(user, 'OK');
+
+      assert.deepStrictEqual(await getMessages(), ['OK', 'nooo', 'this song is great']);
+    });
+
+    it('can mute users', async () => {
+      await uw.config.set('u-wave:automod', {
+        blockedWords: ['heck'],
+        action: 'mute',
+        muteDuration: 30,
+      });
+
+      const user = await uw.test.createUser();
+      await uw.chat.send(user, 'heck');
+
+      assert.strictEqual(await uw.chat.isMuted(user), true);
+      assert.deepStrictEqual(await getMessages(), []);
+    });
+
+    it('tells moderators about automod actions', async () => {
+      await uw.config.set('u-wave:automod', { blockedWords: ['heck'] });
+
+      const user = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      const userWs = await uw.test.connectToWebSocketAs(user);
+      const moderatorWs = await uw.test.connectToWebSocketAs(moderator);
+
+      const userMessages = [];
+      const moderatorMessages = [];
+      userWs.on('message', (data) => {
+        userMessages.push(JSON.parse(data));
+      });
+      moderatorWs.on('message', (data) => {
+        moderatorMessages.push(JSON.parse(data));
+      });
+
+      await uw.chat.send(user, 'heck');
+
+      await retryFor(1500, () => {
+        sinon.assert.match(moderatorMessages, sinon.match.some(sinon.match({
+          command: 'chatAutomod',
+          data: {
+            userID: user.id,
+            action: 'drop',
+            rules: ['blockedWords'],
+            message: 'heck',
+          },
+        })));
+      });
+      assert(!userMessages.some((message) => message.command === 'chatAutomod'));
+    });
+  });
+
+  describe('Mentions', () => {
+    it('resolves mentioned usernames', async () => {
+      const user = await uw.test.createUser();
+      const mentioned = await uw.test.createUser();
+      const ws = await uw.test.connectToWebSocketAs(user);
+
+      const receivedMessages = [];
+      ws.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      await uw.chat.send(user, `hi @${mentioned.username.toUpperCase()}, and @nobody-by-this-name`);
+
+      await retryFor(1500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'chatMessage',
+          data: sinon.match({ mentions: [mentioned.id] }),
+        })));
+      });
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+      assert.deepStrictEqual(res.body.data[0].mentions, [mentioned.id]);
+    });
+
+    it('only resolves group mentions for users with permission', async () => {
+      const user = await uw.test.createUser();
+      const online = await uw.test.createUser();
+      await uw.test.connectToWebSocketAs(online);
+      await retryFor(1500, async () => {
+        assert((await uw.redis.lrange('users', 0, -1)).includes(online.id));
+      });
+
+      await uw.chat.send(user, '@everyone look');
+      await uw.acl.createRole('announcer', ['chat.mention.everyone']);
+      await uw.acl.allow(user, ['announcer']);
+      await uw.chat.send(user, '@everyone look again');
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+      assert.deepStrictEqual(res.body.data.map((message) => message.mentions), [
+        [online.id],
+        [],
+      ]);
+    });
+  });
+
+  describe('PUT /chat/:id', () => {
+    async function sendMessage(user, message) {
+      await uw.chat.send(user, message);
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+      return data[0]._id;
+    }
+
+    it('edits the message and broadcasts the change', async () => {
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      const ws = await uw.test.connectToWebSocketAs(user);
+      const id = await sendMessage(user, 'helo');
+
+      const receivedMessages = [];
+      ws.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      await supertest(uw.server)
+        .put(`/api/chat/${id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'hello' })
+        .expect(200);
+
+      await retryFor(1500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'chatEdit',
+          data: sinon.match({ id, message: 'hello' }),
+        })));
+      });
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+      sinon.assert.match(res.body.data[0], {
+        _id: id,
+        message: 'hello',
+        editedAt: sinon.match.number,
+      });
+    });
+
+    it('only allows editing your own messages', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(other);
+      const id = await sendMessage(user, 'mine');
+
+      await supertest(uw.server)
+        .put(`/api/chat/${id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'yours' })
+        .expect(403);
+    });
+
+    it('does not allow edits after the edit window', async () => {
+      await uw.config.set('u-wave:chat', { editWindow: 0 });
+
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      const id = await sendMessage(user, 'too late');
+      await new Promise((resolve) => { setTimeout(resolve, 5); });
+
+      const res = await supertest(uw.server)
+        .put(`/api/chat/${id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'edited' })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'chat-edit-expired' });
+    });
+  });
+
+  describe('GET /chat/:id/revisions', () => {
+    it('requires the chat.revisions permission', async () => {
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.chat.send(user, 'message');
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+
+      await supertest(uw.server)
+        .get(`/api/chat/${data[0]._id}/revisions`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+    });
+
+    it('lists earlier versions of the message', async () => {
+      const user = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      const token = await uw.test.createTestSessionToken(moderator);
+
+      await uw.chat.send(user, 'first');
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+      const id = data[0]._id;
+      await uw.chat.edit(user, id, 'second');
+      await uw.chat.edit(user, id, 'third');
+
+      const res = await supertest(uw.server)
+        .get(`/api/chat/${id}/revisions`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(res.body.data.map((revision) => revision.message), ['first', 'second']);
+    });
+  });
+
+  describe('Reactions', () => {
+    async function sendMessage(user, message) {
+      await uw.chat.send(user, message);
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+      return data[0]._id;
+    }
+
+    it('broadcasts aggregated reaction counts', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const id = await sendMessage(user, 'react to this');
+      const ws = await uw.test.connectToWebSocketAs(user);
+      const otherWs = await uw.test.connectToWebSocketAs(other);
+
+      const receivedMessages = [];
+      otherWs.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      await uw.chat.addReaction(other, id, '👍');
+      ws.send(JSON.stringify({ command: 'addReaction', data: { id, reaction: '👍' } }));
+
+      await retryFor(1500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'chatReaction',
+          data: sinon.match({
+            id,
+            userID: user.id,
+            added: true,
+            reactions: [{ reaction: '👍', count: 2, userIDs: sinon.match.array.contains([user.id, other.id]) }],
+          }),
+        })));
+      });
+
+      await uw.chat.removeReaction(other, id, '👍');
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+      assert.deepStrictEqual(data[0].reactions, [{ reaction: '👍', count: 1, userIDs: [user.id] }]);
+    });
+
+    it('only allows emoji and known emotes', async () => {
+      const user = await uw.test.createUser();
+      const id = await sendMessage(user, 'react to this');
+
+      await assert.rejects(uw.chat.addReaction(user, id, 'not an emoji'), {
+        code: 'invalid-reaction',
+      });
+      await assert.rejects(uw.chat.addReaction(user, id, '👍👍'), {
+        code: 'invalid-reaction',
+      });
+
+      uw.emotes = { getEmotes: async () => [{ name: 'Kappa', url: 'https://example.com/kappa.png' }] };
+      await uw.chat.addReaction(user, id, 'Kappa');
+      await uw.chat.addReaction(user, id, '🇳🇱');
+
+      const { data } = await uw.chat.getMessages({ limit: 1 });
+      assert.deepStrictEqual(data[0].reactions.map((reaction) => reaction.reaction), ['Kappa', '🇳🇱']);
+    });
+  });
+
+  describe('GET /chat/', () => {
+    it('lists stored chat messages, newest first', async () => {
+      const user = await uw.test.createUser();
+
+      await uw.chat.send(user, 'first');
+      await uw.chat.send(user, 'second');
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        sinon.match({ message: 'second', userID: user.id, user: user.id }),
+        sinon.match({ message: 'first', userID: user.id, user: user.id }),
+      ]);
+      sinon.assert.match(res.body.included.user, [
+        sinon.match({ _id: user.id, username: user.username }),
+      ]);
+    });
+
+    it('does not store messages from muted users', async () => {
+      const user = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+
+      await uw.chat.mute(user, 60, { moderator });
+      await uw.chat.send(user, 'muted');
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+
+      assert.deepStrictEqual(res.body.data, []);
+    });
+
+    it('no longer lists deleted messages', async () => {
+      const user = await uw.test.createUser();
+      const otherUser = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+
+      await uw.chat.send(user, 'keep');
+      await uw.chat.send(otherUser, 'remove');
+
+      await uw.chat.delete({ userID: otherUser.id }, { moderator });
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        sinon.match({ message: 'keep', userID: user.id }),
+      ]);
+    });
+  });
+
   describe('DELETE /chat/', () => {
     it('requires authentication', async () => {
       await supertest(uw.server)
@@ -0,0 +1,176 @@
+import assert from 'assert';
+import * as sinon from 'sinon';
+import supertest from 'supertest';
+import createUwave from './utils/createUwave.mjs';
+import { retryFor } from './utils/retry.mjs';
+
+describe('Direct messages', () => {
+  let uw;
+  beforeEach(async () => {
+    uw = await createUwave('directMessages');
+  });
+  afterEach(async () => {
+    await uw.destroy();
+  });
+
+  describe('GET /messages/:userID', () => {
+    it('requires authentication', async () => {
+      const user = await uw.test.createUser();
+
+      await supertest(uw.server)
+        .get(`/api/messages/${user.id}`)
+        .expect(401);
+    });
+
+    it('lists messages in both directions, newest first', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const third = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      await uw.directMessages.send(user, other.id, 'hello');
+      await uw.directMessages.send(other, user.id, 'hi!');
+      await uw.directMessages.send(third, user.id, 'not in this conversation');
+
+      const res = await supertest(uw.server)
+        .get(`/api/messages/${other.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      sinon.assert.match(res.body.meta, { total: 2 });
+      sinon.assert.match(res.body.data, [
+        sinon.match({ senderID: other.id, recipientID: user.id, message: 'hi!' }),
+        sinon.match({ senderID: user.id, recipientID: other.id, message: 'hello' }),
+      ]);
+    });
+  });
+
+  describe('GET /messages', () => {
+    it('counts unread messages until they are marked as read', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      await uw.directMessages.send(other, user.id, 'one');
+      await uw.directMessages.send(other, user.id, 'two');
+
+      const before = await supertest(uw.server)
+        .get('/api/messages')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(before.body.data, [{ userID: other.id, unread: 2 }]);
+
+      await supertest(uw.server)
+        .post(`/api/messages/${other.id}/read`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      const after = await supertest(uw.server)
+        .get('/api/messages')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(after.body.data, []);
+
+      const conversation = await supertest(uw.server)
+        .get(`/api/messages/${other.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(conversation.body.data, sinon.match.every(sinon.match({
+        timestamp: sinon.match.number,
+        readAt: sinon.match.number,
+      })));
+    });
+  });
+
+  describe('POST /messages/:userID', () => {
+    it('delivers the message to the recipient', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      const ws = await uw.test.connectToWebSocketAs(other);
+
+      const receivedMessages = [];
+      ws.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      await supertest(uw.server)
+        .post(`/api/messages/${other.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'psst' })
+        .expect(200);
+
+      await retryFor(1500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'directMessage',
+          data: sinon.match({ senderID: user.id, message: 'psst' }),
+        })));
+      });
+    });
+
+    it('does not allow muted users to send messages', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const moderator = await uw.test.createUser();
+      await uw.acl.allow(moderator, ['moderator']);
+      await uw.chat.mute(user, 60, { moderator });
+      const token = await uw.test.createTestSessionToken(user);
+
+      const res = await supertest(uw.server)
+        .post(`/api/messages/${other.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'psst' })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'muted' });
+    });
+
+    it('does not deliver messages between blocked users', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      await uw.db.insertInto('userBlocks')
+        .values({ userID: other.id, blockedUserID: user.id })
+        .execute();
+      const token = await uw.test.createTestSessionToken(user);
+
+      const res = await supertest(uw.server)
+        .post(`/api/messages/${other.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ message: 'psst' })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'cannot-message-user' });
+    });
+
+    it('limits how quickly users can send messages', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+
+      for (let i = 0; i < 10; i += 1) {
+        await uw.directMessages.send(user, other.id, `message ${i}`);
+      }
+      await assert.rejects(uw.directMessages.send(user, other.id, 'one too many'), {
+        code: 'chat-rate-limit',
+      });
+
+      const page = await uw.directMessages.getConversation(user, other.id);
+      assert.strictEqual(page.totalSize, 10);
+    });
+  });
+
+  describe('sendDirectMessage', () => {
+    it('sends messages over the socket', async () => {
+      const user = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const ws = await uw.test.connectToWebSocketAs(user);
+
+      ws.send(JSON.stringify({
+        command: 'sendDirectMessage',
+        data: { userID: other.id, message: 'over the socket' },
+      }));
+
+      await retryFor(1500, async () => {
+        const page = await uw.directMessages.getConversation(user, other.id);
+        assert.deepStrictEqual(page.data.map((message) => message.message), ['over the socket']);
+      });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import assert from 'assert';
+import supertest from 'supertest';
+import * as sinon from 'sinon';
+import createUwave from './utils/createUwave.mjs';
+import { retryFor } from './utils/retry.mjs';
+
+describe('Mutes', () => {
+  let user;
+  let uw;
+  beforeEach(async () => {
+    uw = await createUwave('mutes');
+    user = await uw.test.createUser();
+  });
+  afterEach(async () => {
+    await uw.destroy();
+  });
+
+  describe('GET /mutes', () => {
+    it('requires authentication', async () => {
+      await supertest(uw.server)
+        .get('/api/mutes')
+        .expect(401);
+    });
+
+    it('requires the chat.mutes.list role', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.createRole('testMutes', ['chat.mutes.list']);
+
+      await supertest(uw.server)
+        .get('/api/mutes')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+
+      await uw.acl.allow(user, ['testMutes']);
+
+      await supertest(uw.server)
+        .get('/api/mutes')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+    });
+
+    it('returns active and past mutes', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+
+      const mutedUser = await uw.test.createUser();
+      const previouslyMutedUser = await uw.test.createUser();
+      await uw.db.insertInto('mutes')
+        .values({
+          userID: previouslyMutedUser.id,
+          moderatorID: user.id,
+          reason: 'a while ago',
+          expiresAt: new Date(Date.now() - 60_000),
+          createdAt: new Date(Date.now() - 120_000),
+        })
+        .execute();
+      await uw.chat.mute(mutedUser, 60, { moderator: user, reason: 'just to test' });
+
+      const res = await supertest(uw.server)
+        .get('/api/mutes')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      assert.strictEqual(res.body.meta.results, 2);
+      sinon.assert.match(res.body.data, [
+        sinon.match({
+          user: mutedUser.id,
+          moderator: user.id,
+          reason: 'just to test',
+          active: true,
+          expiresAt: sinon.match.string,
+        }),
+        sinon.match({
+          user: previouslyMutedUser.id,
+          reason: 'a while ago',
+          active: false,
+        }),
+      ]);
+
+      const active = await supertest(uw.server)
+        .get('/api/mutes')
+        .query({ status: 'active' })
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(active.body.data, [sinon.match({ user: mutedUser.id })]);
+    });
+  });
+
+  describe('POST /mutes', () => {
+    it('mutes a user with a reason', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+      const mutedUser = await uw.test.createUser();
+
+      const res = await supertest(uw.server)
+        .post('/api/mutes')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: mutedUser.id, duration: 60, reason: 'spam' })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, { userID: mutedUser.id, reason: 'spam' });
+      assert(await uw.chat.isMuted(mutedUser));
+    });
+
+    it('does not allow muting yourself', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+
+      const res = await supertest(uw.server)
+        .post('/api/mutes')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: user.id, duration: 60 })
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'no-self-mute' });
+    });
+  });
+
+  describe('PATCH /mutes/:userID', () => {
+    it('changes when the mute ends', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+      const mutedUser = await uw.test.createUser();
+      await uw.chat.mute(mutedUser, 60, { moderator: user, reason: 'spam' });
+
+      const res = await supertest(uw.server)
+        .patch(`/api/mutes/${mutedUser.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ duration: 3600 })
+        .expect(200);
+
+      const expiresAt = new Date(res.body.data.expiresAt).getTime();
+      assert(expiresAt > Date.now() + 3500_000);
+      sinon.assert.match(res.body.data, { reason: 'spam' });
+
+      const mute = await uw.chat.isMuted(mutedUser);
+      assert.strictEqual(mute?.expiresAt.getTime(), expiresAt);
+    });
+
+    it('tells clients when the mute ends', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+      const mutedUser = await uw.test.createUser();
+      await uw.chat.mute(mutedUser, 60, { moderator: user });
+
+      const ws = await uw.test.connectToWebSocketAs(mutedUser);
+      const receivedMessages = [];
+      ws.on('message', (data) => {
+        receivedMessages.push(JSON.parse(data));
+      });
+
+      await supertest(uw.server)
+        .patch(`/api/mutes/${mutedUser.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ duration: 3600 })
+        .expect(200);
+
+      await retryFor(1500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'chatMute',
+          data: sinon.match({
+            userID: mutedUser.id,
+            expiresAt: sinon.match((value) => value > Date.now() + 3500_000),
+          }),
+        })));
+      });
+    });
+
+    it('returns 404 if the user is not muted', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+      const otherUser = await uw.test.createUser();
+
+      const res = await supertest(uw.server)
+        .patch(`/api/mutes/${otherUser.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ duration: 3600 })
+        .expect(404);
+      sinon.assert.match(res.body.errors[0], { code: 'mute-not-found' });
+    });
+  });
+
+  describe('DELETE /mutes/:userID', () => {
+    it('unmutes a user', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      await uw.acl.allow(user, ['moderator']);
+      const mutedUser = await uw.test.createUser();
+      await uw.chat.mute(mutedUser, 60, { moderator: user });
+
+      await supertest(uw.server)
+        .delete(`/api/mutes/${mutedUser.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      assert.strictEqual(await uw.chat.isMuted(mutedUser), null);
+    });
+  });
+});
@@ -531,6 +531,265 @@ describe('Playlists', () => {
     });
   });
 
+  describe('GET /playlists/:id/export', () => {
+    let playlist;
+    beforeEach(async () => {
+      ({ playlist } = await uw.playlists.createPlaylist(user, { name: 'Test Playlist' }));
+      const items = await generateItems(250);
+      await uw.playlists.addPlaylistItems(playlist, items);
+    });
+
+    it('requires authentication', async () => {
+      await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export`)
+        .expect(401);
+    });
+
+    it('returns Not Found for other people\'s playlists', async () => {
+      const otherUser = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(otherUser);
+
+      await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(404);
+    });
+
+    it('validates input', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export?format=xspf`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(400);
+    });
+
+    it('exports all items as JSON', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const items = await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/media?page[limit]=250`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect('content-type', /application\/json/)
+        .expect('content-disposition', /attachment; filename="Test Playlist.json"/)
+        .expect(200);
+
+      sinon.assert.match(res.body, {
+        format: 'u-wave-playlist',
+        version: 1,
+        name: 'Test Playlist',
+      });
+      assert.strictEqual(res.body.items.length, 250);
+      // Exported in playlist order.
+      const media = new Map(items.body.included.media.map((m) => [m._id, m]));
+      res.body.items.slice(0, 100).forEach((item, index) => {
+        const expected = items.body.data[index];
+        sinon.assert.match(item, {
+          artist: expected.artist,
+          title: expected.title,
+          start: expected.start,
+          end: expected.end,
+          media: {
+            sourceType: 'test-source',
+            sourceID: media.get(expected.media).sourceID,
+            duration: 60,
+          },
+        });
+      });
+    });
+
+    it('exports CSV', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const res = await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export?format=csv`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect('content-type', /text\/csv/)
+        .expect(200);
+
+      const lines = res.text.trim().split('\r\n');
+      assert.strictEqual(lines[0], 'artist,title,start,end,sourceType,sourceID,duration');
+      assert.strictEqual(lines.length, 251);
+      assert.match(lines[1], /^artist \w+,title \w+,0,60,test-source,\w+,60$/);
+    });
+
+    it('exports M3U', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const res = await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export?format=m3u`)
+        .set('Cookie', `uwsession=${token}`)
+        .buffer(true)
+        .parse((response, callback) => {
+          let text = '';
+          response.on('data', (chunk) => { text += chunk; });
+          response.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      const lines = res.body.trim().split('\n');
+      assert.strictEqual(lines[0], '#EXTM3U');
+      assert.strictEqual(lines[1], '#PLAYLIST:Test Playlist');
+      assert.strictEqual(lines.length, 2 + 250 * 2);
+      assert.match(lines[2], /^#EXTINF:60,artist \w+ - title \w+$/);
+      assert.match(lines[3], /^test-source:\w+$/);
+    });
+  });
+
+  describe('POST /import', () => {
+    it('requires authentication', async () => {
+      await supertest(uw.server)
+        .post('/api/import')
+        .send({
+          format: 'u-wave-playlist', version: 1, name: 'Imported', items: [],
+        })
+        .expect(401);
+    });
+
+    it('validates input', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send({
+          format: 'something-else', version: 1, name: 'Imported', items: [],
+        })
+        .expect(400);
+
+      const res = await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send({
+          format: 'u-wave-playlist', version: 999, name: 'Imported', items: [],
+        })
+        .expect(400);
+      sinon.assert.match(res.body.errors[0], { code: 'unsupported-playlist-version' });
+    });
+
+    it('round-trips exported playlists', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const { playlist } = await uw.playlists.createPlaylist(user, { name: 'Original' });
+      const items = await generateItems(20);
+      items[3].start = 10;
+      items[3].end = 30;
+      items[5].title = 'Custom title';
+      await uw.playlists.addPlaylistItems(playlist, items);
+
+      const exported = await supertest(uw.server)
+        .get(`/api/playlists/${playlist.id}/export`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send(exported.body)
+        .expect(200);
+
+      sinon.assert.match(res.body, {
+        meta: { unresolved: [] },
+        data: { name: 'Original', size: 20 },
+      });
+
+      const reexported = await supertest(uw.server)
+        .get(`/api/playlists/${res.body.data._id}/export`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(reexported.body.items, exported.body.items);
+    });
+
+    it('accepts files larger than the usual request size limit', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const [item] = await generateItems(1);
+      const res = await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send({
+          format: 'u-wave-playlist',
+          version: 1,
+          name: 'Large',
+          items: [
+            {
+              artist: 'x'.repeat(200_000), title: 'Source', start: 0, end: 60, media: { sourceType: 'not-installed', sourceID: 'x' },
+            },
+            {
+              artist: item.artist, title: item.title, start: 0, end: 60, media: { sourceType: 'test-source', sourceID: item.sourceID },
+            },
+          ],
+        })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, { name: 'Large', size: 1 });
+    });
+
+    it('reports items that could not be resolved', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+
+      const [item] = await generateItems(1);
+      const res = await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send({
+          format: 'u-wave-playlist',
+          version: 1,
+          name: 'Partial',
+          items: [
+            {
+              artist: 'Missing', title: 'Source', start: 0, end: 60, media: { sourceType: 'not-installed', sourceID: 'x' },
+            },
+            {
+              artist: item.artist, title: item.title, start: 0, end: 60, media: { sourceType: 'test-source', sourceID: item.sourceID },
+            },
+          ],
+        })
+        .expect(200);
+
+      sinon.assert.match(res.body, {
+        meta: {
+          unresolved: [
+            {
+              index: 0, sourceType: 'not-installed', sourceID: 'x', reason: 'source-not-found',
+            },
+          ],
+        },
+        data: { name: 'Partial', size: 1 },
+      });
+    });
+
+    it('does not leave a playlist behind if the import fails', async () => {
+      const token = await uw.test.createTestSessionToken(user);
+      sinon.stub(uw.playlists, 'addPlaylistItems').rejects(new Error('Source failure'));
+
+      const [item] = await generateItems(1);
+      await supertest(uw.server)
+        .post('/api/import')
+        .set('Cookie', `uwsession=${token}`)
+        .send({
+          format: 'u-wave-playlist',
+          version: 1,
+          name: 'Broken',
+          items: [
+            {
+              artist: item.artist, title: item.title, start: 0, end: 60, media: { sourceType: 'test-source', sourceID: item.sourceID },
+            },
+          ],
+        })
+        .expect(500);
+
+      assert.deepStrictEqual(await uw.playlists.getUserPlaylists(user), []);
+      const updatedUser = await uw.users.getUser(user.id);
+      assert.strictEqual(updatedUser.activePlaylistID, null);
+    });
+  });
+
   describe('POST /playlists/:id/media', () => {
     let playlist;
     beforeEach(async () => {
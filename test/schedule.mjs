@@ -0,0 +1,215 @@
+import assert from 'assert';
+import * as sinon from 'sinon';
+import supertest from 'supertest';
+import createUwave from './utils/createUwave.mjs';
+import { nextCronDate, parseCron } from '../src/utils/cron.js';
+import { retryFor } from './utils/retry.mjs';
+
+describe('Schedule', () => {
+  let uw;
+  beforeEach(async () => {
+    uw = await createUwave('schedule');
+  });
+  afterEach(async () => {
+    await uw.destroy();
+  });
+
+  async function createScheduler() {
+    const user = await uw.test.createUser();
+    await uw.acl.createRole('scheduler', ['schedule.manage']);
+    await uw.acl.allow(user, ['scheduler']);
+    const token = await uw.test.createTestSessionToken(user);
+    return { user, token };
+  }
+
+  describe('GET /schedule', () => {
+    it('requires the schedule.manage permission', async () => {
+      await supertest(uw.server)
+        .get('/api/schedule')
+        .expect(401);
+
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+      await supertest(uw.server)
+        .get('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+    });
+
+    it('lists jobs, the first to run first', async () => {
+      const { token } = await createScheduler();
+
+      const later = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+      const sooner = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.unlock', runAt: later })
+        .expect(200);
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock', runAt: sooner })
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .get('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        sinon.match({ action: 'waitlist.lock', runAt: sooner }),
+        sinon.match({ action: 'waitlist.unlock', runAt: later }),
+      ]);
+    });
+  });
+
+  describe('POST /schedule', () => {
+    it('validates input', async () => {
+      const { token } = await createScheduler();
+
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock' })
+        .expect(400);
+
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'not.an.action', runAt: new Date().toISOString() })
+        .expect(400);
+
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'motd.set', runAt: new Date().toISOString() })
+        .expect(400);
+
+      const res = await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock', recurrence: '0 25 * * *' })
+        .expect(400);
+      sinon.assert.match(res.body.errors[0], { code: 'invalid-recurrence' });
+    });
+
+    it('computes the first run of recurring jobs', async () => {
+      const { token } = await createScheduler();
+
+      const res = await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.clear', recurrence: '@daily' })
+        .expect(200);
+
+      const runAt = new Date(res.body.data.runAt);
+      assert(runAt.getTime() > Date.now());
+      assert.strictEqual(runAt.getUTCHours(), 0);
+      assert.strictEqual(runAt.getUTCMinutes(), 0);
+    });
+
+    it('runs due jobs once', async () => {
+      const { token } = await createScheduler();
+
+      assert.strictEqual(await uw.waitlist.isLocked(), false);
+
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock', runAt: new Date().toISOString() })
+        .expect(200);
+
+      await retryFor(1500, async () => {
+        assert.strictEqual(await uw.waitlist.isLocked(), true);
+      });
+
+      const res = await supertest(uw.server)
+        .get('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(res.body.data, []);
+    });
+
+    it('can set the MOTD', async () => {
+      const { token } = await createScheduler();
+
+      await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'motd.set', data: { motd: 'Event starts now!' }, runAt: new Date().toISOString() })
+        .expect(200);
+
+      await retryFor(1500, async () => {
+        assert.strictEqual(await uw.motd.get(), 'Event starts now!');
+      });
+    });
+  });
+
+  describe('PATCH /schedule/:id', () => {
+    it('moves recurring jobs to the next occurrence', async () => {
+      const { token } = await createScheduler();
+
+      const runAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const { body } = await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock', runAt })
+        .expect(200);
+
+      const res = await supertest(uw.server)
+        .patch(`/api/schedule/${body.data.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .send({ recurrence: '30 12 * * *' })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, {
+        recurrence: '30 12 * * *',
+        runAt: sinon.match(/T12:30:00\.000Z$/),
+      });
+    });
+  });
+
+  describe('cron expressions', () => {
+    const after = new Date('2026-01-01T00:00:00.000Z');
+
+    it('matches either day field if both are restricted', () => {
+      const next = nextCronDate(parseCron('0 0 1 * 1'), after);
+      assert.strictEqual(next?.toISOString(), '2026-01-05T00:00:00.000Z');
+    });
+
+    it('treats steps in the day of month field as unrestricted', () => {
+      // Odd days that are also Mondays.
+      const next = nextCronDate(parseCron('0 0 */2 * 1'), after);
+      assert.strictEqual(next?.toISOString(), '2026-01-05T00:00:00.000Z');
+    });
+
+    it('treats steps in the day of week field as unrestricted', () => {
+      // The 1st of the month, on Sunday, Tuesday, Thursday or Saturday.
+      const next = nextCronDate(parseCron('0 0 1 * */2'), after);
+      assert.strictEqual(next?.toISOString(), '2026-02-01T00:00:00.000Z');
+    });
+  });
+
+  describe('DELETE /schedule/:id', () => {
+    it('removes the job', async () => {
+      const { token } = await createScheduler();
+
+      const { body } = await supertest(uw.server)
+        .post('/api/schedule')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ action: 'waitlist.lock', recurrence: '@hourly' })
+        .expect(200);
+
+      await supertest(uw.server)
+        .delete(`/api/schedule/${body.data.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      await supertest(uw.server)
+        .get(`/api/schedule/${body.data.id}`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(404);
+    });
+  });
+});
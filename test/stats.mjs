@@ -0,0 +1,180 @@
+import { randomUUID } from 'node:crypto';
+import * as sinon from 'sinon';
+import supertest from 'supertest';
+import createUwave from './utils/createUwave.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Stats', () => {
+  let uw;
+  beforeEach(async () => {
+    uw = await createUwave('stats');
+  });
+  afterEach(async () => {
+    await uw.destroy();
+  });
+
+  async function insertMedia(title) {
+    const id = randomUUID();
+    await uw.db.insertInto('media')
+      .values({
+        id,
+        sourceType: 'test-source',
+        sourceID: id,
+        artist: 'Artist',
+        title,
+        duration: 180,
+        thumbnail: '',
+      })
+      .execute();
+    return { id, artist: 'Artist', title };
+  }
+
+  async function insertPlay(user, media, { ago, upvotes = [] }) {
+    const id = randomUUID();
+    await uw.db.insertInto('historyEntries')
+      .values({
+        id,
+        userID: user.id,
+        mediaID: media.id,
+        artist: media.artist,
+        title: media.title,
+        start: 0,
+        end: 180,
+        createdAt: new Date(Date.now() - ago),
+      })
+      .execute();
+    for (const voter of upvotes) {
+      await uw.db.insertInto('feedback')
+        .values({ historyEntryID: id, userID: voter.id, vote: 1 })
+        .execute();
+    }
+  }
+
+  async function insertPlays() {
+    const dj = await uw.test.createUser();
+    const otherDJ = await uw.test.createUser();
+    const listener = await uw.test.createUser();
+    const song = await insertMedia('Song');
+    const otherSong = await insertMedia('Other Song');
+
+    await insertPlay(dj, song, { ago: 2 * DAY, upvotes: [listener] });
+    await insertPlay(dj, song, { ago: DAY / 2 });
+    await insertPlay(otherDJ, otherSong, { ago: 3 * DAY, upvotes: [listener, dj] });
+    await insertPlay(otherDJ, otherSong, { ago: 20 * DAY, upvotes: [listener] });
+
+    return {
+      dj,
+      otherDJ,
+      song,
+      otherSong,
+    };
+  }
+
+  describe('GET /stats', () => {
+    it('counts plays and DJs in the window', async () => {
+      await insertPlays();
+
+      const day = await supertest(uw.server)
+        .get('/api/stats')
+        .query({ window: '24h' })
+        .expect(200);
+      sinon.assert.match(day.body.data, { plays: 1, uniqueDJs: 1 });
+
+      const week = await supertest(uw.server)
+        .get('/api/stats')
+        .expect(200);
+      sinon.assert.match(week.body.meta, { window: '7d' });
+      sinon.assert.match(week.body.data, { plays: 3, uniqueDJs: 2 });
+
+      const all = await supertest(uw.server)
+        .get('/api/stats')
+        .query({ window: 'all' })
+        .expect(200);
+      sinon.assert.match(all.body.data, { plays: 4, uniqueDJs: 2 });
+    });
+
+    it('rejects unknown windows', async () => {
+      await supertest(uw.server)
+        .get('/api/stats')
+        .query({ window: '1y' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /stats/plays', () => {
+    it('counts plays per day', async () => {
+      await insertPlays();
+
+      const res = await supertest(uw.server)
+        .get('/api/stats/plays')
+        .query({ window: '30d' })
+        .expect(200);
+
+      // Plays half a day apart may fall on the same day.
+      const total = res.body.data.reduce((sum, day) => sum + day.plays, 0);
+      sinon.assert.match(total, 4);
+      sinon.assert.match(res.body.data[0], {
+        date: new Date(Date.now() - 20 * DAY).toISOString().slice(0, 10),
+        plays: 1,
+        uniqueDJs: 1,
+      });
+    });
+  });
+
+  describe('GET /stats/media', () => {
+    it('lists the most played media', async () => {
+      const { song, otherSong } = await insertPlays();
+
+      const res = await supertest(uw.server)
+        .get('/api/stats/media/played')
+        .query({ window: '7d' })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        { media: song.id, plays: 2 },
+        { media: otherSong.id, plays: 1 },
+      ]);
+      sinon.assert.match(res.body.included.media, sinon.match.some(sinon.match({ _id: song.id })));
+    });
+
+    it('lists the most upvoted media', async () => {
+      const { song, otherSong } = await insertPlays();
+
+      const res = await supertest(uw.server)
+        .get('/api/stats/media/upvoted')
+        .query({ window: 'all' })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        { media: otherSong.id, upvotes: 3 },
+        { media: song.id, upvotes: 1 },
+      ]);
+    });
+  });
+
+  describe('GET /stats/djs', () => {
+    it('lists DJs by upvotes received', async () => {
+      const { dj, otherDJ } = await insertPlays();
+
+      const res = await supertest(uw.server)
+        .get('/api/stats/djs')
+        .query({ window: '7d', limit: '1' })
+        .expect(200);
+
+      sinon.assert.match(res.body.data, [
+        sinon.match({ user: otherDJ.id, plays: 1, upvotes: 2 }),
+      ]);
+
+      const all = await supertest(uw.server)
+        .get('/api/stats/djs')
+        .query({ window: 'all' })
+        .expect(200);
+
+      sinon.assert.match(all.body.data, [
+        sinon.match({ user: otherDJ.id, plays: 2, upvotes: 3 }),
+        sinon.match({ user: dj.id, plays: 2, upvotes: 1 }),
+      ]);
+    });
+  });
+});
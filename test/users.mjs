@@ -1,6 +1,9 @@
+import { randomUUID } from 'node:crypto';
+import assert from 'assert';
 import supertest from 'supertest';
 import * as sinon from 'sinon';
 import createUwave from './utils/createUwave.mjs';
+import { retryFor } from './utils/retry.mjs';
 
 describe('Users', () => {
   let user;
@@ -121,4 +124,310 @@ describe('Users', () => {
       });
     });
   });
+
+  async function insertMedia(artist, title) {
+    const id = randomUUID();
+    await uw.db.insertInto('media')
+      .values({
+        id,
+        sourceType: 'test-source',
+        sourceID: id,
+        artist,
+        title,
+        duration: 180,
+        thumbnail: '',
+      })
+      .execute();
+    return { id, artist, title };
+  }
+
+  async function insertPlay(media, votes = []) {
+    const id = randomUUID();
+    await uw.db.insertInto('historyEntries')
+      .values({
+        id,
+        userID: user.id,
+        mediaID: media.id,
+        artist: media.artist,
+        title: media.title,
+        start: 0,
+        end: 180,
+      })
+      .execute();
+    for (const vote of votes) {
+      await uw.db.insertInto('feedback')
+        .values({ historyEntryID: id, ...vote })
+        .execute();
+    }
+  }
+
+  describe('GET /api/users/:id/profile', () => {
+    it('returns 404 for unknown users', async () => {
+      await supertest(uw.server)
+        .get(`/api/users/${randomUUID()}/profile`)
+        .expect(404);
+    });
+
+    it('summarises the user\'s plays', async () => {
+      const listener = await uw.test.createUser();
+      const other = await uw.test.createUser();
+      const song = await insertMedia('Artist A', 'Song');
+      const otherSong = await insertMedia('Artist A', 'Other Song');
+      const third = await insertMedia('Artist B', 'Third Song');
+
+      await insertPlay(song, [
+        { userID: listener.id, vote: 1, favorite: 1 },
+        { userID: other.id, vote: -1 },
+      ]);
+      await insertPlay(song, [{ userID: listener.id, vote: 1 }]);
+      await insertPlay(otherSong);
+      await insertPlay(third, [{ userID: other.id, vote: 1 }]);
+
+      const res = await supertest(uw.server)
+        .get(`/api/users/${user.id}/profile`)
+        .expect(200);
+
+      sinon.assert.match(res.body.data, {
+        user: sinon.match({ _id: user.id, username: user.username }),
+        accountAge: sinon.match.number,
+        stats: {
+          plays: 4,
+          upvotes: 3,
+          downvotes: 1,
+          favorites: 1,
+          topArtists: [
+            { artist: 'Artist A', plays: 3 },
+            { artist: 'Artist B', plays: 1 },
+          ],
+          topMedia: sinon.match([
+            sinon.match({ media: sinon.match({ _id: song.id }), plays: 2 }),
+            sinon.match({ plays: 1 }),
+            sinon.match({ plays: 1 }),
+          ]),
+        },
+      });
+    });
+  });
+
+  describe('GET /api/users/:id/history', () => {
+    it('only returns vote counts if vote history is private', async () => {
+      const fan = await uw.test.createUser();
+      await insertPlay(await insertMedia('Artist', 'Song'), [
+        { userID: fan.id, vote: 1, favorite: 1 },
+      ]);
+
+      const res = await supertest(uw.server)
+        .get(`/api/users/${user.id}/history`)
+        .expect(200);
+      sinon.assert.match(res.body.data, [
+        sinon.match({
+          upvotes: [],
+          favorites: [],
+          upvoteCount: 1,
+          favoriteCount: 1,
+        }),
+      ]);
+
+      await uw.config.set('u-wave:booth', {
+        voteHistory: { public: true },
+      });
+
+      const publicRes = await supertest(uw.server)
+        .get(`/api/users/${user.id}/history`)
+        .expect(200);
+      sinon.assert.match(publicRes.body.data, [
+        sinon.match({ upvotes: [fan.id], favorites: [fan.id] }),
+      ]);
+    });
+  });
+
+  describe('GET /api/users/:id/votes', () => {
+    async function insertVotes(voter) {
+      const song = await insertMedia('Artist', 'Song');
+      await insertPlay(song, [{ userID: voter.id, vote: 1 }]);
+      await insertPlay(song, [{ userID: voter.id, vote: -1, favorite: 1 }]);
+      // Not a vote.
+      await insertPlay(song, [{ userID: voter.id, vote: 0 }]);
+    }
+
+    it('lets users see their own votes', async () => {
+      const voter = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(voter);
+      await insertVotes(voter);
+
+      const res = await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      sinon.assert.match(res.body.meta, { total: 2 });
+      sinon.assert.match(res.body.data, sinon.match.every(sinon.match({ user: user.id })));
+      const votes = res.body.data
+        .map(({ vote, favorite }) => ({ vote, favorite }))
+        .sort((a, b) => a.vote - b.vote);
+      sinon.assert.match(votes, [
+        { vote: -1, favorite: true },
+        { vote: 1, favorite: false },
+      ]);
+    });
+
+    it('is private by default', async () => {
+      const voter = await uw.test.createUser();
+      await insertVotes(voter);
+
+      const token = await uw.test.createTestSessionToken(user);
+      const res = await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'private-vote-history' });
+
+      await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .expect(403);
+    });
+
+    it('does not show users who else voted if vote history is private', async () => {
+      const voter = await uw.test.createUser();
+      const otherVoter = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(voter);
+      await insertPlay(await insertMedia('Artist', 'Song'), [
+        { userID: voter.id, vote: 1 },
+        { userID: otherVoter.id, vote: 1 },
+      ]);
+
+      const res = await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(res.body.data, [
+        sinon.match({ vote: 1, upvotes: [], upvoteCount: 2 }),
+      ]);
+    });
+
+    it('lets moderators see private vote history', async () => {
+      const voter = await uw.test.createUser();
+      await insertVotes(voter);
+
+      await uw.acl.allow(user, ['moderator']);
+      const token = await uw.test.createTestSessionToken(user);
+      const res = await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      sinon.assert.match(res.body.meta, { total: 2 });
+      sinon.assert.match(res.body.data, sinon.match.some(sinon.match({
+        upvotes: [voter.id],
+      })));
+    });
+
+    it('returns 404 for unknown users even if vote history is private', async () => {
+      await supertest(uw.server)
+        .get(`/api/users/${randomUUID()}/votes`)
+        .expect(404);
+    });
+
+    it('can be made public', async () => {
+      const voter = await uw.test.createUser();
+      await insertVotes(voter);
+
+      await uw.config.set('u-wave:booth', {
+        voteHistory: { public: true },
+      });
+
+      const res = await supertest(uw.server)
+        .get(`/api/users/${voter.id}/votes`)
+        .expect(200);
+      sinon.assert.match(res.body.meta, { total: 2 });
+    });
+  });
+
+  describe('PUT /api/users/:id/block', () => {
+    it('requires authentication', async () => {
+      const user = await uw.test.createUser();
+
+      await supertest(uw.server)
+        .put(`/api/users/${user.id}/block`)
+        .expect(401);
+    });
+
+    it('does not allow blocking yourself', async () => {
+      const user = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      const res = await supertest(uw.server)
+        .put(`/api/users/${user.id}/block`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(403);
+      sinon.assert.match(res.body.errors[0], { code: 'no-self-block' });
+    });
+
+    it('hides chat messages from blocked users', async () => {
+      const user = await uw.test.createUser();
+      const blocked = await uw.test.createUser();
+      const bystander = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      await supertest(uw.server)
+        .put(`/api/users/${blocked.id}/block`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+
+      const userWs = await uw.test.connectToWebSocketAs(user);
+      const bystanderWs = await uw.test.connectToWebSocketAs(bystander);
+      const userMessages = [];
+      const bystanderMessages = [];
+      userWs.on('message', (data) => {
+        userMessages.push(JSON.parse(data));
+      });
+      bystanderWs.on('message', (data) => {
+        bystanderMessages.push(JSON.parse(data));
+      });
+
+      await uw.chat.send(blocked, `hey @${user.username}`);
+      await uw.chat.send(bystander, 'hello');
+
+      await retryFor(1500, () => {
+        assert.deepStrictEqual(
+          userMessages.filter((message) => message.command === 'chatMessage')
+            .map((message) => message.data.message),
+          ['hello'],
+        );
+        assert.strictEqual(
+          bystanderMessages.filter((message) => message.command === 'chatMessage').length,
+          2,
+        );
+      });
+      const mention = bystanderMessages.find((message) => message.data.userID === blocked.id);
+      assert.deepStrictEqual(mention.data.mentions, []);
+
+      const res = await supertest(uw.server)
+        .get('/api/chat')
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      assert.deepStrictEqual(res.body.data.map((message) => message.message), ['hello']);
+    });
+  });
+
+  describe('DELETE /api/users/:id/block', () => {
+    it('allows private messages again', async () => {
+      const user = await uw.test.createUser();
+      const blocked = await uw.test.createUser();
+      const token = await uw.test.createTestSessionToken(user);
+
+      await supertest(uw.server)
+        .put(`/api/users/${blocked.id}/block`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      await assert.rejects(uw.directMessages.send(blocked, user.id, 'hi'), {
+        code: 'cannot-message-user',
+      });
+
+      await supertest(uw.server)
+        .delete(`/api/users/${blocked.id}/block`)
+        .set('Cookie', `uwsession=${token}`)
+        .expect(200);
+      await uw.directMessages.send(blocked, user.id, 'hi');
+    });
+  });
 });
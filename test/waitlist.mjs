@@ -4,6 +4,7 @@ import * as sinon from 'sinon';
 import randomString from 'random-string';
 import createUwave from './utils/createUwave.mjs';
 import testSource from './utils/testSource.mjs';
+import { retryFor } from './utils/retry.mjs';
 
 describe('Waitlist', () => {
   let user;
@@ -408,4 +409,60 @@ describe('Waitlist', () => {
       sinon.assert.match(nextWaitlist.body.data, []);
     });
   });
+
+  describe('Play limits', () => {
+    it('removes users who reach the session limit', async () => {
+      await uw.config.set('u-wave:waitlist', {
+        playLimits: { maxPlaysPerSession: 1 },
+      });
+
+      const ws = await uw.test.connectToWebSocketAs(user);
+      const receivedMessages = [];
+      ws.on('message', (data, isBinary) => {
+        receivedMessages.push(JSON.parse(isBinary ? data.toString() : data));
+      });
+
+      const [dj] = await createUsers(1);
+      await createTestPlaylistItem(dj);
+      await uw.waitlist.addUser(dj.id);
+      assert.strictEqual(await uw.redis.get('booth:currentDJ'), dj.id);
+
+      await uw.booth.advance();
+
+      assert.strictEqual(await uw.redis.get('booth:currentDJ'), null);
+      assert.deepStrictEqual(await uw.waitlist.getUserIDs(), []);
+      await retryFor(500, () => {
+        sinon.assert.match(receivedMessages, sinon.match.some(sinon.match({
+          command: 'waitlistPlayLimit',
+          data: { userID: dj.id, reason: 'session', until: null },
+        })));
+      });
+
+      ws.close();
+    });
+
+    it('prevents rejoining during a cooldown', async () => {
+      await uw.config.set('u-wave:waitlist', {
+        playLimits: { cooldownAfterPlays: 1, cooldownDuration: 10 },
+      });
+
+      await uw.acl.allow(user, ['user']);
+      await uw.test.connectToWebSocketAs(user);
+      await createTestPlaylistItem(user);
+      await uw.waitlist.addUser(user.id);
+
+      await uw.booth.advance();
+      assert.strictEqual(await uw.redis.get('booth:currentDJ'), null);
+
+      const token = await uw.test.createTestSessionToken(user);
+      const res = await supertest(uw.server)
+        .post('/api/waitlist')
+        .set('Cookie', `uwsession=${token}`)
+        .send({ userID: user.id })
+        .expect(403);
+      sinon.assert.match(res.body, {
+        errors: sinon.match.some(sinon.match.has('code', 'waitlist-cooldown')),
+      });
+    });
+  });
 });